@@ -65,6 +65,7 @@ import questionsManager from './services/QuestionsManager.js'; // Singleton
 import highscoreManager from './services/HighscoreManager.js'; // Singleton
 import webRTCManager from './services/WebRTCManager.js'; // Singleton
 import multiplayerClientManager from './services/MultiplayerClientManager.js'; // Singleton
+import statisticsManager from './services/StatisticsManager.js'; // Singleton, records every answer
 // Removed: import GameCoordinator from './services/GameCoordinator.js'; // <-- Import CLASS
 
 // NEW: Import specific coordinators
@@ -106,6 +107,10 @@ class UnicornPoepApp {
             } else {
                 // Emit the standard navigation event to show the main menu
                 eventBus.emit(Events.Navigation.ShowView, { viewName: Views.MainMenu });
+                const encodedSheet = uiManager.detectSharedSheet();
+                if (encodedSheet) {
+                    eventBus.emit(Events.System.SharedSheetDetected, { encodedSheet });
+                }
             }
     }
 
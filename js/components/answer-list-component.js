@@ -2,12 +2,16 @@ import RefactoredBaseComponent from './RefactoredBaseComponent.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import Views from '../core/view-constants.js';
+import { getTextTemplate } from '../utils/miscUtils.js';
+import { isImageReference, createImageElement } from '../utils/imageUtils.js';
 
 /**
  * Manages the display and interaction of the answer list/buttons in the game area.
  * Listens for new questions to populate the list and for answer checks to provide feedback.
  * Emits an event when an answer is selected by the user.
- * Uses BUTTON elements directly.
+ * Uses BUTTON elements directly, or a text input when the game runs in 'typed' answer mode.
+ * Image answers (`img:` references) are shown as image buttons; those can't be typed,
+ * so such questions are always multiple choice.
  *
  * @extends RefactoredBaseComponent
  */
@@ -21,9 +25,15 @@ class AnswerListComponent extends RefactoredBaseComponent {
     static CORRECT_CLASS = 'correct-answer';
     static INCORRECT_CLASS = 'wrong-answer';
     static SELECTED_CLASS = 'selected';
+    static TYPED_FORM_CLASS = 'typed-answer-form';
+    static TYPED_INPUT_CLASS = 'typed-answer-input';
+    static TYPED_FEEDBACK_CLASS = 'typed-answer-feedback';
+    static ALMOST_CLASS = 'almost-answer';
+    static IMAGE_BUTTON_CLASS = 'image-answer';
     
     // State properties
     isAnswerable = false;
+    answerMode = 'choice';
 
     /**
      * Initializes the component using the declarative pattern
@@ -64,6 +74,11 @@ class AnswerListComponent extends RefactoredBaseComponent {
                     selector: this.selector, // Reverted to use component's root selector
                     event: 'keydown',
                     handler: this._handleKeyDown
+                },
+                {
+                    selector: `form.${AnswerListComponent.TYPED_FORM_CLASS}`,
+                    event: 'submit',
+                    handler: this._handleTypedSubmit
                 }
             ]
         };
@@ -77,7 +92,7 @@ class AnswerListComponent extends RefactoredBaseComponent {
      * @param {KeyboardEvent} event - The keydown event object.
      */
     _handleKeyDown(event) {
-        if (!this.isAnswerable) return; 
+        if (!this.isAnswerable || this.answerMode === 'typed') return; // Typed answers submit through the form
 
         // Target buttons instead of li items
         const items = Array.from(this.rootElement.querySelectorAll(`button.${AnswerListComponent.ANSWER_BUTTON_CLASS}:not([disabled])`)); 
@@ -148,16 +163,47 @@ class AnswerListComponent extends RefactoredBaseComponent {
         eventBus.emit(Events.UI.GameArea.AnswerSubmitted, { answer: selectedAnswer });
     }
 
+    /**
+     * Handles submission of the typed answer form (Enter key or submit button).
+     *
+     * @param {SubmitEvent} event - The submit event object.
+     * @event Events.UI.GameArea.AnswerSubmitted
+     * @private
+     */
+    _handleTypedSubmit(event) {
+        event.preventDefault();
+        if (!this.isAnswerable) return;
+
+        const input = this.rootElement.querySelector(`.${AnswerListComponent.TYPED_INPUT_CLASS}`);
+        const typedAnswer = input.value.trim();
+        if (!typedAnswer) {
+            input.focus();
+            return;
+        }
+
+        this.disableInteraction();
+        eventBus.emit(Events.UI.GameArea.AnswerSubmitted, { answer: typedAnswer });
+    }
+
     /**
      * Populates the container with new answer BUTTONS when a new question is received.
      *
      * @param {object} payload - The event payload.
      * @param {object} payload.questionData - Data for the new question.
-     * @param {string[]} payload.questionData.answers - Array of answer strings.
+     * @param {string[]} payload.questionData.answers - Array of answer strings or image references.
+     * @param {'choice'|'typed'} [payload.questionData.answerMode] - Render buttons or a text input.
      */
     _handleQuestionNew({ questionData }) {
         this._clearAnswers(); // Clear previous buttons
         this.show();
+        this.answerMode = questionData.answerMode || 'choice';
+        if (this.answerMode === 'typed' && questionData.answers?.some(isImageReference)) {
+            this.answerMode = 'choice';
+        }
+        if (this.answerMode === 'typed') {
+            this._renderTypedInput();
+            return;
+        }
         if (!questionData.answers || !Array.isArray(questionData.answers)) {
              this.isAnswerable = false;
              return;
@@ -168,7 +214,12 @@ class AnswerListComponent extends RefactoredBaseComponent {
             const button = document.createElement('button');
             button.classList.add(AnswerListComponent.ANSWER_BUTTON_CLASS); 
             button.dataset.answer = answerText; 
-            button.textContent = answerText;   
+            if (isImageReference(answerText)) {
+                button.classList.add(AnswerListComponent.IMAGE_BUTTON_CLASS);
+                button.appendChild(createImageElement(answerText));
+            } else {
+                button.textContent = answerText;
+            }
             button.disabled = false; // Start enabled
             // Buttons are naturally focusable, so keyboard nav should work if they are not disabled
 
@@ -189,6 +240,36 @@ class AnswerListComponent extends RefactoredBaseComponent {
         }
     }
 
+    /**
+     * Renders a text input with a submit button for 'typed' answer mode.
+     * @private
+     */
+    _renderTypedInput() {
+        const form = document.createElement('form');
+        form.classList.add(AnswerListComponent.TYPED_FORM_CLASS);
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.classList.add(AnswerListComponent.TYPED_INPUT_CLASS);
+        input.placeholder = getTextTemplate('answerTypedPlaceholder');
+        input.autocomplete = 'off';
+        input.autocapitalize = 'off';
+        input.spellcheck = false;
+
+        const submitButton = document.createElement('button');
+        submitButton.type = 'submit';
+        submitButton.textContent = getTextTemplate('answerTypedSubmit');
+
+        const feedback = document.createElement('p');
+        feedback.classList.add(AnswerListComponent.TYPED_FEEDBACK_CLASS);
+
+        form.append(input, submitButton, feedback);
+        this.rootElement.appendChild(form);
+
+        this.isAnswerable = true;
+        input.focus();
+    }
+
     /**
      * Clears all answer buttons from the container.
      */
@@ -202,10 +283,15 @@ class AnswerListComponent extends RefactoredBaseComponent {
      *
      * @param {object} payload - The event payload.
      * @param {boolean} payload.isCorrect - Whether the submitted answer was correct.
+     * @param {boolean} [payload.isAlmostCorrect] - Whether a typed answer was accepted despite a typo.
      * @param {string} payload.correctAnswer - The correct answer text.
      * @param {string} payload.submittedAnswer - The submitted answer text.
      */
-    _handleFeedback({ isCorrect, correctAnswer, submittedAnswer }) {
+    _handleFeedback({ isCorrect, isAlmostCorrect, correctAnswer, submittedAnswer }) {
+        if (this.answerMode === 'typed') {
+            this._showTypedFeedback(isCorrect, isAlmostCorrect, correctAnswer);
+            return;
+        }
         const buttons = this.rootElement.querySelectorAll(`button.${AnswerListComponent.ANSWER_BUTTON_CLASS}`);
         
         // Apply respective classes to correct and incorrect answers
@@ -227,12 +313,39 @@ class AnswerListComponent extends RefactoredBaseComponent {
     }
 
     /**
-     * Disables interaction with answer buttons.
+     * Shows feedback below the typed answer input.
+     * Almost correct answers count as correct, but still show the proper spelling.
+     *
+     * @param {boolean} isCorrect
+     * @param {boolean} isAlmostCorrect
+     * @param {string} correctAnswer
+     * @private
+     */
+    _showTypedFeedback(isCorrect, isAlmostCorrect, correctAnswer) {
+        const input = this.rootElement.querySelector(`.${AnswerListComponent.TYPED_INPUT_CLASS}`);
+        const feedback = this.rootElement.querySelector(`.${AnswerListComponent.TYPED_FEEDBACK_CLASS}`);
+        if (!input) return; // Question was already cleared
+
+        if (isAlmostCorrect) {
+            input.classList.add(AnswerListComponent.ALMOST_CLASS);
+            feedback.textContent = getTextTemplate('answerTypedAlmost', { '%ANSWER%': correctAnswer });
+        } else if (isCorrect) {
+            input.classList.add(AnswerListComponent.CORRECT_CLASS);
+            feedback.textContent = '';
+        } else {
+            input.classList.add(AnswerListComponent.INCORRECT_CLASS);
+            feedback.textContent = getTextTemplate('answerTypedWrong', { '%ANSWER%': correctAnswer });
+        }
+        this.disableInteraction();
+    }
+
+    /**
+     * Disables interaction with answer buttons (and the typed answer input).
      */
     disableInteraction() {
-        const buttons = this.rootElement.querySelectorAll(`button.${AnswerListComponent.ANSWER_BUTTON_CLASS}`);
-        buttons.forEach(button => {
-            button.disabled = true;
+        const controls = this.rootElement.querySelectorAll('button, input');
+        controls.forEach(control => {
+            control.disabled = true;
         });
         this.isAnswerable = false;
     }
@@ -2,21 +2,32 @@ import RefactoredBaseComponent from "./RefactoredBaseComponent.js";
 import eventBus from "../core/event-bus.js";
 import Events from "../core/event-constants.js";
 import questionsManager from "../services/QuestionsManager.js";
+import backupManager from "../services/BackupManager.js";
 import Views from "../core/view-constants.js";
 import uiManager from '../ui/UIManager.js';
 import { getTextTemplate } from "../utils/miscUtils.js";
+import { parseDelimitedText, formatDelimitedText, rowsToQuestions, questionsToRows } from "../utils/csvUtils.js";
+import { createShareUrl } from "../utils/shareUtils.js";
+import { parseQuestionLines, hasSheetErrors, ANSWER_ALTERNATIVE_SEPARATOR, DISTRACTOR_SEPARATOR, EXPLANATION_SEPARATOR, TAG_PREFIX, normalizeTag } from "../utils/sheetFormats.js";
 
 /**
  * @class CustomQuestionsComponent
  * 
  * Manages the UI for creating, editing, listing, and deleting custom question sheets.
  * Uses dynamic input fields for question-answer pairs instead of a single textarea.
+ * Category rows between the pairs split a sheet into categories, like the title lines of a .txt sheet.
+ * Question-answer pairs can also be imported from a CSV/TSV file (with column mapping),
+ * and any sheet, default or custom, can be exported as CSV.
+ * Custom sheets can be shared as a link that holds the whole sheet, see utils/shareUtils.js.
+ * All app data can be saved to and restored from a backup file, see services/BackupManager.js.
  */
 export default class CustomQuestionsComponent extends RefactoredBaseComponent {
     static SELECTOR = '#customQuestionsManager';
     static VIEW_NAME = Views.CustomQuestions; // Use constant
 
     editingSheetId = null;
+    csvImportRows = null; // Rows of the CSV/TSV file waiting for column mapping
+    csvImportFileName = '';
 
     /**
      * Initializes the component by setting up event listeners and DOM bindings.
@@ -34,6 +45,9 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
             domEvents: [
                 { selector: "#saveCustomQuestionsButton", event: "click", handler: this._handleSaveClick },
                 { selector: "#addQuestionPairButton", event: "click", handler: this._handleAddQuestionPairClick },
+                { selector: "#addCategoryButton", event: "click", handler: this._handleAddCategoryClick },
+                { selector: ".remove-category-button", event: "click", handler: this._handleRemoveCategoryClick },
+                { selector: "#questionAnswerPairsContainer", event: "change", handler: this._handlePairChange },
                 { 
                     selector: ".backToMain", 
                     event: "click", 
@@ -52,15 +66,31 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
                     selector: "#customSheetList", 
                     event: "click", 
                     handler: this._handleListClick 
-                }
+                },
+                { selector: "#csvImportInput", event: "change", handler: this._handleCsvFileChosen },
+                { selector: "#csvHasHeader", event: "change", handler: this._renderCsvColumnOptions },
+                { selector: "#csvImportConfirm", event: "click", handler: this._handleCsvImportConfirm },
+                { selector: "#csvImportCancel", event: "click", handler: this._hideCsvMapping },
+                { selector: "#csvExportButton", event: "click", handler: this._handleCsvExportClick },
+                { selector: "#backupExportButton", event: "click", handler: this._handleBackupExportClick },
+                { selector: "#backupImportInput", event: "change", handler: this._handleBackupFileChosen }
             ],
             domElements: [
                 { name: "sheetNameInput", selector: "#customSheetName", required: true },
+                { name: "answerCheckCheckbox", selector: "#customSheetAnswerCheck" },
                 { name: "questionAnswerPairsContainer", selector: "#questionAnswerPairsContainer", required: true },
                 { name: "customSheetListContainer", selector: "#customSheetList", required: true },
                 { name: "sheetItemTemplate", selector: "#custom-sheet-item-template" },
-                { name: "qaPairTemplate", selector: "#qa-pair-template" }
+                { name: "qaPairTemplate", selector: "#qa-pair-template" },
+                { name: "qaCategoryTemplate", selector: "#qa-category-template" },
                 // Removed questionsTextarea
+                { name: "csvImportInput", selector: "#csvImportInput" },
+                { name: "csvMappingPanel", selector: "#csvImportMapping" },
+                { name: "csvQuestionColumn", selector: "#csvQuestionColumn" },
+                { name: "csvAnswerColumn", selector: "#csvAnswerColumn" },
+                { name: "csvDistractorColumns", selector: "#csvDistractorColumns" },
+                { name: "csvHasHeader", selector: "#csvHasHeader" },
+                { name: "csvExportSelect", selector: "#csvExportSheet" }
             ]
         };
     }
@@ -69,9 +99,12 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
      * Adds a new question-answer pair input group to the form.
      * @param {string} [question=''] - Optional initial question value.
      * @param {string} [answer=''] - Optional initial answer value.
+     * @param {string} [distractors=''] - Optional initial wrong options, separated by '~'.
+     * @param {string} [explanation=''] - Optional initial explanation of the answer.
+     * @param {string[]} [tags=[]] - Optional initial tags, without '#'.
      * @returns {HTMLElement|null} The newly added pair element or null if template fails.
      */
-    _addQuestionPair(question = '', answer = '') {
+    _addQuestionPair(question = '', answer = '', distractors = '', explanation = '', tags = []) {
         const template = this.elements.qaPairTemplate;
         const container = this.elements.questionAnswerPairsContainer;
         if (!template || !container) {
@@ -89,9 +122,15 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
             
             const questionInput = pairElement.querySelector('.question-input');
             const answerInput = pairElement.querySelector('.answer-input');
+            const distractorsInput = pairElement.querySelector('.distractors-input');
+            const explanationInput = pairElement.querySelector('.explanation-input');
+            const tagsInput = pairElement.querySelector('.tags-input');
 
             if (questionInput) questionInput.value = question;
             if (answerInput) answerInput.value = answer;
+            distractorsInput.value = distractors;
+            explanationInput.value = explanation;
+            tagsInput.value = tags.map(tag => `${TAG_PREFIX}${tag}`).join(' ');
 
             container.appendChild(clone);
             return pairElement; // Return the added element
@@ -105,6 +144,35 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
         }
     }
 
+    /**
+     * Adds a category row to the form. The pairs below it, up to the next category row,
+     * belong to that category.
+     * @param {string} [title=''] - Optional initial category title.
+     * @returns {HTMLElement} The newly added category element.
+     */
+    _addCategoryRow(title = '') {
+        const clone = this.elements.qaCategoryTemplate.content.cloneNode(true);
+        const categoryElement = clone.querySelector('.qa-category');
+        categoryElement.querySelector('.category-input').value = title;
+        this.elements.questionAnswerPairsContainer.appendChild(clone);
+        return categoryElement;
+    }
+
+    /**
+     * Handles the click event for the "Add Category" button.
+     */
+    _handleAddCategoryClick() {
+        this._addCategoryRow().querySelector('.category-input').focus();
+    }
+
+    /**
+     * Removes a category row. Its questions stay and join the category above.
+     * @param {MouseEvent} event - The click event.
+     */
+    _handleRemoveCategoryClick(event) {
+        event.target.closest('.qa-category')?.remove();
+    }
+
     /**
      * Handles the click event for the "Add Question" button.
      */
@@ -163,6 +231,8 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
             this._handleDeleteClick(sheetId, sheetName); // Existing delete logic
         } else if (targetButton.classList.contains("edit-button")) {
             this._handleEditClick(sheetId); // Trigger edit flow
+        } else if (targetButton.classList.contains("share-sheet-button")) {
+            this._handleShareClick(sheetId, sheetName);
         }
     }
 
@@ -182,81 +252,128 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
             return;
         }
 
-        const pairsContainer = this.elements.questionAnswerPairsContainer;
-        const pairElements = pairsContainer.querySelectorAll('.qa-pair');
-        const questionsData = [];
-        let firstInvalidInput = null;
-
-        for (const pairElement of pairElements) {
-            const questionInput = pairElement.querySelector('.question-input');
-            const answerInput = pairElement.querySelector('.answer-input');
-            
-            if (!questionInput || !answerInput) continue; // Should not happen
-
-            const question = questionInput.value.trim();
-            const answer = answerInput.value.trim();
-
-            // Skip pairs where both are empty
-            if (!question && !answer) {
-                continue;
-            }
-
-            // Validate: If one is filled, the other must be too
-            if (!question) {
-                 eventBus.emit(Events.System.ShowFeedback, { 
-                    message: getTextTemplate('customQWarnQuestion'), 
-                    level: "warn" 
-                });
-                 if (!firstInvalidInput) firstInvalidInput = questionInput;
-                 questionInput.focus(); // Focus the problematic input
-                 return; // Stop processing on first error
-            }
-             if (!answer) {
-                 eventBus.emit(Events.System.ShowFeedback, { 
-                    message: getTextTemplate('customQWarnQuestion'), 
-                    level: "warn" 
-                });
-                if (!firstInvalidInput) firstInvalidInput = answerInput;
-                answerInput.focus(); // Focus the problematic input
-                 return; // Stop processing on first error
-            }
-
-            // Add valid pair
-            questionsData.push({ question, answer });
-        }
-        
-        // Focus the first invalid input if found after loop (though return should prevent this)
-        if (firstInvalidInput) {
-            firstInvalidInput.focus();
-            return;
-        }
-
-        // Validate: Ensure at least one valid pair exists
-        if (questionsData.length === 0) {
+        const questionLines = this._collectQuestionLines();
+        if (!questionLines.some(({ isCategory }) => !isCategory)) {
             eventBus.emit(Events.System.ShowFeedback, {
                 message: getTextTemplate('customQWarnPairs') || "Voeg minstens één vraag/antwoord paar toe.", // Fallback text
                 level: "warn"
             });
-            // Optionally add a new empty pair here if desired
-            // this._handleAddQuestionPairClick();
             return;
         }
 
-        // Reconstruct the old text format for compatibility with QuestionsManager
+        const problems = this._showPairProblems(questionLines);
+        if (hasSheetErrors(problems)) {
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('customQFixErrors'), level: "warn" });
+            const firstError = problems.find(problem => problem.severity === 'error');
+            const inputSelector = firstError.code === 'empty-answer' ? '.answer-input' : '.question-input';
+            questionLines[firstError.line - 1].pairElement.querySelector(inputSelector).focus();
+            return;
+        }
+
+        // The old text format is what QuestionsManager parses, one line per pair
         // TODO: Suggest refactoring QuestionsManager to accept [{question, answer}] array directly
-        const questionsText = questionsData
-            .map(pair => `${pair.question} => ${pair.answer}`)
-            .join('\n');
+        const questionsText = questionLines.map(({ text }) => text).join('\n');
 
         eventBus.emit(Events.UI.CustomQuestions.SaveClicked, {
             name: sheetName,
             questionsText,
-            sheetId: this.editingSheetId
+            sheetId: this.editingSheetId,
+            answerCheck: this.elements.answerCheckCheckbox.checked ? 'value' : 'text'
         });
 
         // Don't clear inputs immediately, wait for _handleSaveSuccess
     }
 
+    /**
+     * Builds a "Vraag => Antwoord ~ Fout ## Uitleg" line for every question-answer pair that isn't empty,
+     * and a "Categorie:" line for every named category row.
+     * Line N of the result belongs to the N-th returned element.
+     * @returns {Array<{pairElement: HTMLElement, text: string, isCategory: boolean}>}
+     */
+    _collectQuestionLines() {
+        const questionLines = [];
+        this.elements.questionAnswerPairsContainer.querySelectorAll('.qa-pair, .qa-category').forEach(pairElement => {
+            if (pairElement.classList.contains('qa-category')) {
+                const title = pairElement.querySelector('.category-input').value.trim().replace(/:+$/, '');
+                if (title) questionLines.push({ pairElement, text: `${title}:`, isCategory: true });
+                return;
+            }
+            const question = pairElement.querySelector('.question-input').value.trim();
+            const answer = pairElement.querySelector('.answer-input').value.trim();
+            const distractors = pairElement.querySelector('.distractors-input').value.trim();
+            const explanation = pairElement.querySelector('.explanation-input').value.trim();
+            const tags = this._readTagsInput(pairElement.querySelector('.tags-input'));
+            if (!question && !answer && !distractors && !explanation && tags.length === 0) {
+                this._renderPairProblems(pairElement, []);
+                return; // Skip empty pairs
+            }
+            let text = distractors ? `${question} => ${answer} ${DISTRACTOR_SEPARATOR} ${distractors}` : `${question} => ${answer}`;
+            tags.forEach(tag => { text += ` ${TAG_PREFIX}${tag}`; });
+            if (explanation) text += ` ${EXPLANATION_SEPARATOR} ${explanation}`;
+            questionLines.push({ pairElement, text, isCategory: false });
+        });
+        return questionLines;
+    }
+
+    /**
+     * Reads the tags typed in a tags input ("#lastig #rekenen", "lastig, rekenen").
+     * Characters a tag can't hold are turned into '-', so the tags stay tags in the sheet line.
+     * @param {HTMLInputElement} tagsInput
+     * @returns {string[]} The normalized tags, without '#'.
+     * @private
+     */
+    _readTagsInput(tagsInput) {
+        const words = tagsInput.value.split(/[\s,]+/);
+        const tags = words.map(word => normalizeTag(word).replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, ''));
+        return [...new Set(tags.filter(tag => tag))];
+    }
+
+    /**
+     * Checks the pairs with the shared sheet parser and shows every problem under its pair.
+     * @param {Array<{pairElement: HTMLElement, text: string, isCategory: boolean}>} questionLines - From _collectQuestionLines.
+     * @returns {Array<object>} The problems found, see SheetProblem in utils/sheetFormats.js.
+     */
+    _showPairProblems(questionLines) {
+        const { problems } = parseQuestionLines(questionLines.map(({ text }) => text).join('\n'));
+        questionLines.forEach(({ pairElement }, index) => {
+            this._renderPairProblems(pairElement, problems.filter(problem => problem.line === index + 1));
+        });
+        return problems;
+    }
+
+    /**
+     * Shows (or clears) the problems of one question-answer pair, with a suggested fix.
+     * @param {HTMLElement} pairElement - The .qa-pair element.
+     * @param {Array<object>} problems - Its problems; empty to clear.
+     */
+    _renderPairProblems(pairElement, problems) {
+        const previousProblems = pairElement.querySelector('.qa-pair-problems');
+        if (previousProblems) {
+            previousProblems.remove();
+        }
+        pairElement.classList.toggle('has-problems', problems.length > 0);
+        if (problems.length === 0) return;
+
+        const list = document.createElement('ul');
+        list.className = 'qa-pair-problems';
+        problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.className = problem.severity;
+            item.textContent = `${getTextTemplate(`sheetProblem-${problem.code}`)} ${getTextTemplate(`sheetFix-${problem.code}`)}`;
+            list.appendChild(item);
+        });
+        pairElement.appendChild(list);
+    }
+
+    /**
+     * Re-checks the pairs after an edit once problems are shown, so they disappear when fixed.
+     */
+    _handlePairChange() {
+        if (this.elements.questionAnswerPairsContainer.querySelector('.qa-pair.has-problems')) {
+            this._showPairProblems(this._collectQuestionLines());
+        }
+    }
+
     /**
      * Handles successful sheet save. Reloads the list and clears the form.
      * @param {object} data - Save success data.
@@ -281,9 +398,11 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
         const pairsContainer = this.elements.questionAnswerPairsContainer;
 
         if (nameInput) nameInput.value = "";
+        this.elements.answerCheckCheckbox.checked = false;
         if (pairsContainer) pairsContainer.innerHTML = ""; // Clear dynamic pairs
         
         this.editingSheetId = null;
+        this._hideCsvMapping();
     }
 
     /**
@@ -319,7 +438,8 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
 
         try {
             const allSheets = questionsManager.getAvailableSheets();
-            const customSheets = allSheets.filter(sheet => sheet.isCustom);
+            const customSheets = questionsManager.getCustomSheets(); // Whole sheets, not their categories
+            this._populateCsvExportSelect(allSheets);
 
             if (customSheets.length === 0) {
                 // Add placeholder text directly if list is empty
@@ -355,6 +475,9 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
                      console.warn(`[${this.constructor.name}] Edit button not found for sheet ID: ${sheet.id}`);
                 }
 
+                const shareButton = listItem.querySelector(".share-sheet-button");
+                if (shareButton) shareButton.dataset.sheetId = sheet.id;
+
                 const deleteButton = listItem.querySelector(".delete-button");
                 if (deleteButton) {
                     deleteButton.dataset.sheetId = sheet.id;
@@ -423,6 +546,42 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
         }
     }
 
+    /**
+     * Handles the share button click from the sheet list. Builds a link holding the
+     * whole sheet and hands it to the device's share sheet, or copies it to the clipboard.
+     * Falls back to a prompt with the link when neither is available.
+     * @param {string} sheetId - ID of the sheet to share.
+     * @param {string} sheetName - Name of the sheet, for the link.
+     */
+    async _handleShareClick(sheetId, sheetName) {
+        let shareUrl;
+        try {
+            const questions = await questionsManager.getQuestionsForSheet(sheetId);
+            shareUrl = await createShareUrl({ name: sheetName, questions, answerCheck: questionsManager.getAnswerCheck(sheetId) });
+        } catch (error) {
+            console.error(`[${this.constructor.name}] Error creating share link for sheet ${sheetId}:`, error);
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('shareLinkError'), level: "error" });
+            return;
+        }
+
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: sheetName, url: shareUrl });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return; // User closed the share sheet
+                console.warn(`[${this.constructor.name}] navigator.share failed, copying the link instead:`, error);
+            }
+        }
+        try {
+            await navigator.clipboard.writeText(shareUrl);
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('shareLinkCopied'), level: "success" });
+        } catch (error) {
+            console.warn(`[${this.constructor.name}] Could not copy share link to the clipboard:`, error);
+            window.prompt(getTextTemplate('shareLinkPrompt'), shareUrl);
+        }
+    }
+
     /**
      * Handles the edit button click from the sheet list.
      * Sets the editing state and requests the sheet data for editing.
@@ -452,8 +611,9 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
      * @param {string} data.sheetId - ID of the sheet.
      * @param {string} data.name - Name of the sheet.
      * @param {string} data.questionsText - Questions text content (old format).
+     * @param {'text'|'value'} [data.answerCheck] - How answers of the sheet are compared.
      */
-    _populateFormForEdit({ sheetId, name, questionsText }) {
+    _populateFormForEdit({ sheetId, name, questionsText, answerCheck }) {
         // Ensure this callback is for the sheet we requested to edit
         if (sheetId !== this.editingSheetId) return; 
         
@@ -466,24 +626,27 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
         }
 
         nameInput.value = name;
+        this.elements.answerCheckCheckbox.checked = answerCheck === 'value';
         pairsContainer.innerHTML = ""; // Clear existing pairs first
 
-        // Parse the old format
-        const lines = questionsText.split('\n');
-        let pairsAdded = 0;
-        lines.forEach(line => {
-            const parts = line.split('=>');
-            if (parts.length === 2) {
-                const question = parts[0].trim();
-                const answer = parts[1].trim();
-                if (question || answer) { // Add if at least one part has content
-                    this._addQuestionPair(question, answer);
-                    pairsAdded++;
-                }
-            } else if (line.trim()) {
-                 console.warn(`[${this.constructor.name}] Skipping invalid line during edit load: "${line}"`);
+        // Parse with the shared parser; a category row goes before the first question of each category
+        const { questions, problems } = parseQuestionLines(questionsText);
+        problems.forEach(problem => console.warn(`[${this.constructor.name}] Problem in sheet loaded for editing, line ${problem.line}: ${problem.message}`));
+        let category = null;
+        questions.forEach(question => {
+            if (question.category && question.category !== category) {
+                this._addCategoryRow(question.category);
             }
+            category = question.category || category;
+            this._addQuestionPair(
+                question.question,
+                [question.answer, ...(question.alternatives || [])].join(` ${ANSWER_ALTERNATIVE_SEPARATOR} `),
+                (question.distractors || []).join(` ${DISTRACTOR_SEPARATOR} `),
+                question.explanation,
+                question.tags
+            );
         });
+        const pairsAdded = questions.length;
         
          // If parsing resulted in no pairs (e.g., empty or invalid sheet), add one empty row
          if (pairsAdded === 0) {
@@ -514,4 +677,247 @@ export default class CustomQuestionsComponent extends RefactoredBaseComponent {
     }
 
     // Removed _handleSheetAction as it's no longer needed
-} 
\ No newline at end of file
+
+    // --- CSV/TSV import and export ---
+
+    /**
+     * Reads the chosen CSV/TSV file and shows the column mapping panel.
+     * @param {Event} event - The change event of the file input.
+     */
+    async _handleCsvFileChosen(event) {
+        const file = event.target.files?.[0];
+        event.target.value = ''; // Allow choosing the same file again
+        if (!file) return;
+
+        try {
+            const rows = parseDelimitedText(await file.text());
+            if (rows.length === 0) {
+                eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('csvImportEmpty'), level: "warn" });
+                return;
+            }
+            this.csvImportRows = rows;
+            this.csvImportFileName = file.name;
+            this._renderCsvColumnOptions();
+            this.elements.csvMappingPanel.classList.remove('hidden');
+        } catch (error) {
+            console.error(`[${this.constructor.name}] Error reading CSV/TSV file:`, error);
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('csvImportReadError'), level: "error" });
+        }
+    }
+
+    /**
+     * Fills the column selects of the mapping panel, using the header row for names
+     * when "first row has column names" is checked. Defaults to question, answer,
+     * and wrong options in the remaining columns, the layout of an exported sheet.
+     */
+    _renderCsvColumnOptions() {
+        if (!this.csvImportRows) return;
+        const hasHeader = this.elements.csvHasHeader.checked;
+        const columnCount = Math.max(...this.csvImportRows.map(row => row.length));
+        const columnNames = Array.from({ length: columnCount }, (_, i) => {
+            const headerName = hasHeader ? (this.csvImportRows[0][i] || '').trim() : '';
+            return headerName || getTextTemplate('csvColumnName', { '%N%': i + 1 });
+        });
+
+        [this.elements.csvQuestionColumn, this.elements.csvAnswerColumn].forEach((select, defaultColumn) => {
+            select.innerHTML = '';
+            columnNames.forEach((columnName, i) => select.add(new Option(columnName, i, false, i === defaultColumn)));
+        });
+
+        const fieldset = this.elements.csvDistractorColumns;
+        fieldset.querySelectorAll('label').forEach(label => label.remove());
+        columnNames.forEach((columnName, i) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = i;
+            checkbox.checked = i >= 2;
+            label.append(checkbox, ` ${columnName}`);
+            fieldset.appendChild(label);
+        });
+
+        const summary = this.elements.csvMappingPanel.querySelector('.csv-import-summary');
+        summary.textContent = getTextTemplate('csvImportSummary', {
+            '%ROWS%': this.csvImportRows.length - (hasHeader ? 1 : 0),
+            '%FILE%': this.csvImportFileName
+        });
+    }
+
+    /**
+     * Adds the mapped rows as question-answer pairs to the form. When a sheet is being
+     * edited they are added to it, otherwise they start a new sheet named after the file.
+     * Nothing is stored until the user clicks save.
+     */
+    _handleCsvImportConfirm() {
+        if (!this.csvImportRows) return;
+        const hasHeader = this.elements.csvHasHeader.checked;
+        const mapping = {
+            question: Number(this.elements.csvQuestionColumn.value),
+            answer: Number(this.elements.csvAnswerColumn.value),
+            distractors: Array.from(this.elements.csvDistractorColumns.querySelectorAll('input:checked'))
+                .map(checkbox => Number(checkbox.value))
+                .filter(column => column !== Number(this.elements.csvQuestionColumn.value) && column !== Number(this.elements.csvAnswerColumn.value))
+        };
+        const questions = rowsToQuestions(hasHeader ? this.csvImportRows.slice(1) : this.csvImportRows, mapping);
+        if (questions.length === 0) {
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('csvImportEmpty'), level: "warn" });
+            return;
+        }
+
+        // Drop empty pairs (like the one a fresh form starts with) before adding the imported ones
+        this.elements.questionAnswerPairsContainer.querySelectorAll('.qa-pair').forEach(pairElement => {
+            const isEmpty = Array.from(pairElement.querySelectorAll('input')).every(input => !input.value.trim());
+            if (isEmpty) pairElement.remove();
+        });
+        questions.forEach(({ question, answer, distractors }) => {
+            this._addQuestionPair(question, answer, distractors.join(' ~ '));
+        });
+        if (!this.elements.sheetNameInput.value.trim()) {
+            this.elements.sheetNameInput.value = this.csvImportFileName.replace(/\.[^.]+$/, '');
+        }
+
+        eventBus.emit(Events.System.ShowFeedback, {
+            message: getTextTemplate('csvImportDone', { '%COUNT%': questions.length }),
+            level: "success"
+        });
+        this._hideCsvMapping();
+    }
+
+    /**
+     * Hides the column mapping panel and forgets the pending import.
+     */
+    _hideCsvMapping() {
+        this.csvImportRows = null;
+        this.csvImportFileName = '';
+        this.elements.csvMappingPanel.classList.add('hidden');
+    }
+
+    /**
+     * Fills the export dropdown with all sheets, default and custom.
+     * @param {Array<{id: string, name: string}>} allSheets - From QuestionsManager.getAvailableSheets.
+     */
+    _populateCsvExportSelect(allSheets) {
+        const select = this.elements.csvExportSelect;
+        select.innerHTML = '';
+        allSheets.forEach(sheet => {
+            const label = sheet.fileId && sheet.metadata.title ? `${sheet.metadata.title}: ${sheet.name}` : sheet.name;
+            select.add(new Option(label, sheet.id));
+        });
+    }
+
+    /**
+     * Downloads the sheet chosen in the export dropdown as a CSV file.
+     */
+    async _handleCsvExportClick() {
+        const sheetId = this.elements.csvExportSelect.value;
+        if (!sheetId) return;
+
+        try {
+            const questions = await questionsManager.getQuestionsForSheet(sheetId);
+            const rows = questionsToRows(questions, [
+                getTextTemplate('csvHeaderQuestion'),
+                getTextTemplate('csvHeaderAnswer'),
+                getTextTemplate('csvHeaderDistractor')
+            ]);
+            // The byte order mark makes Excel read the file as UTF-8
+            const blob = new Blob(['\uFEFF' + formatDelimitedText(rows)], { type: 'text/csv;charset=utf-8' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${this.elements.csvExportSelect.selectedOptions[0].textContent.replace(/[\\/:*?"<>|]/g, '_')}.csv`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0); // After the download has started
+        } catch (error) {
+            console.error(`[${this.constructor.name}] Error exporting sheet ${sheetId} to CSV:`, error);
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('csvExportError'), level: "error" });
+        }
+    }
+
+    // --- Backup and restore ---
+
+    /**
+     * Downloads a backup of all app data (custom sheets, highscores, player name) as a JSON file.
+     */
+    async _handleBackupExportClick() {
+        try {
+            const backup = await backupManager.createBackup();
+            const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `unicornpoep-backup-${backup.createdAt.substring(0, 10)}.json`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0); // After the download has started
+        } catch (error) {
+            console.error(`[${this.constructor.name}] Error creating backup:`, error);
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('backupExportError'), level: "error" });
+        }
+    }
+
+    /**
+     * Reads the chosen backup file, validates it and asks for confirmation,
+     * listing what will be added or overwritten, before restoring it.
+     * @param {Event} event - The change event of the file input.
+     */
+    async _handleBackupFileChosen(event) {
+        const file = event.target.files?.[0];
+        event.target.value = ''; // Allow choosing the same file again
+        if (!file) return;
+
+        let backup;
+        let changes;
+        try {
+            backup = backupManager.parseBackup(await file.text());
+            changes = await backupManager.describeRestore(backup);
+        } catch (error) {
+            console.error(`[${this.constructor.name}] Invalid backup file ${file.name}:`, error);
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('backupInvalid'), level: "error" });
+            return;
+        }
+
+        const lines = [];
+        if (changes.addedSheets.length > 0) {
+            lines.push(getTextTemplate('backupRestoreAdded', { '%NAMES%': changes.addedSheets.join(', ') }));
+        }
+        if (changes.overwrittenSheets.length > 0) {
+            lines.push(getTextTemplate('backupRestoreOverwritten', { '%NAMES%': changes.overwrittenSheets.join(', ') }));
+        }
+        if (changes.newScores > 0) {
+            lines.push(getTextTemplate('backupRestoreScores', { '%COUNT%': changes.newScores, '%LISTS%': changes.changedScoreLists }));
+        }
+        if (changes.changedLeitnerItems > 0) {
+            lines.push(getTextTemplate('backupRestoreLeitner', { '%COUNT%': changes.changedLeitnerItems }));
+        }
+        if (changes.changedStatistics > 0) {
+            lines.push(getTextTemplate('backupRestoreStatistics', { '%COUNT%': changes.changedStatistics }));
+        }
+        if (changes.userName) {
+            lines.push(getTextTemplate('backupRestoreUserName', { '%NAME%': changes.userName }));
+        }
+        if (lines.length === 0) {
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('backupRestoreNothing'), level: "info" });
+            return;
+        }
+
+        const confirmationDialog = uiManager.components.get('ConfirmationDialog');
+        if (!confirmationDialog) {
+            console.error(`[${this.constructor.name}] ConfirmationDialog component not found.`);
+            return;
+        }
+        confirmationDialog.show({
+            title: getTextTemplate('backupRestoreTitle'),
+            message: lines.join('\n'),
+            okText: getTextTemplate('backupRestoreOk'),
+            cancelText: getTextTemplate('backupRestoreCancel'),
+            context: backup,
+            onConfirm: async (contextBackup) => {
+                try {
+                    await backupManager.restoreBackup(contextBackup);
+                    this.loadAndDisplaySheets();
+                    eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('backupRestoreDone'), level: "success" });
+                } catch (error) {
+                    console.error(`[${this.constructor.name}] Error restoring backup:`, error);
+                    eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('backupRestoreError'), level: "error" });
+                }
+            }
+        });
+    }
+}
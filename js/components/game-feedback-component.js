@@ -6,8 +6,8 @@ import Views from '../core/view-constants.js';
 /**
  * @class GameFeedbackComponent
  * Handles global visual feedback during the game, such as confetti on correct answers
- * or brief body style changes.
- * Does not manage a specific DOM element directly.
+ * or brief body style changes, and shows the explanation of a question when the game
+ * mode provides one with the answer check (practice mode, after a wrong answer).
  * @extends RefactoredBaseComponent
  */
 class GameFeedbackComponent extends RefactoredBaseComponent {
@@ -32,6 +32,10 @@ class GameFeedbackComponent extends RefactoredBaseComponent {
                 {
                     eventName: Events.Game.Finished,
                     callback: this._handleGameFinished
+                },
+                {
+                    eventName: Events.Game.QuestionNew,
+                    callback: this._clearExplanation
                 }
             ]
         };
@@ -41,14 +45,18 @@ class GameFeedbackComponent extends RefactoredBaseComponent {
      * Handles the AnswerChecked event to provide global feedback.
      * @param {object} payload
      * @param {boolean} payload.isCorrect
+     * @param {string|null} [payload.explanation] - Explanation to show, if any.
      * @private
      */
-    _handleAnswerChecked({ isCorrect }) {
+    _handleAnswerChecked({ isCorrect, explanation }) {
         if (isCorrect) {
             this.triggerConfetti();
         } else {
             this.triggerIncorrectFeedback();
         }
+        if (explanation) {
+            this._showExplanation(explanation);
+        }
     }
 
     /**
@@ -56,9 +64,31 @@ class GameFeedbackComponent extends RefactoredBaseComponent {
      * @private
      */
     _handleGameFinished() {
+        this._clearExplanation();
         this.hide(); // Hide the component
     }
 
+    /**
+     * Shows the explanation of the current question.
+     * @param {string} explanation
+     * @private
+     */
+    _showExplanation(explanation) {
+        const box = document.createElement('p');
+        box.classList.add('answer-explanation');
+        box.textContent = `💡 ${explanation}`;
+        this.rootElement.replaceChildren(box);
+        this.show();
+    }
+
+    /**
+     * Removes a shown explanation.
+     * @private
+     */
+    _clearExplanation() {
+        this.rootElement.replaceChildren();
+    }
+
     /**
      * Applies a CSS class to the body element for a specified duration.
      * @param {string} className - The CSS class to apply.
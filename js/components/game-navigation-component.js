@@ -5,7 +5,8 @@ import Events from '../core/event-constants.js';
 /**
  * @class GameNavigationComponent
  * @extends RefactoredBaseComponent
- * Manages navigation controls within the game area, primarily the 'Leave Game' button.
+ * Manages navigation controls within the game area: the 'Leave Game' button, and the
+ * 'Next' button that is enabled while an explanation is shown after an answer.
  */
 export default class GameNavigationComponent extends RefactoredBaseComponent {
     static SELECTOR = '#gameNavigation';
@@ -13,7 +14,8 @@ export default class GameNavigationComponent extends RefactoredBaseComponent {
     static IS_GAME_AREA_CHILD = true;
     
     static SELECTORS = {
-        STOP_BUTTON: '#stopGame'
+        STOP_BUTTON: '#stopGame',
+        NEXT_BUTTON: '#nextButton'
     };
 
     /** 
@@ -31,6 +33,14 @@ export default class GameNavigationComponent extends RefactoredBaseComponent {
                     eventName: Events.Game.Finished,
                     callback: this.hide
                 },
+                {
+                    eventName: Events.Game.AnswerChecked,
+                    callback: this._handleAnswerChecked
+                },
+                {
+                    eventName: Events.Game.QuestionNew,
+                    callback: this._disableNextButton
+                },
                 {
                     eventName: Events.Game.Aborted,
                     callback: this.hide
@@ -42,10 +52,45 @@ export default class GameNavigationComponent extends RefactoredBaseComponent {
                     selector: GameNavigationComponent.SELECTORS.STOP_BUTTON,
                     event: 'click',
                     emits: Events.UI.GameArea.LeaveGameClicked
+                },
+                {
+                    selector: GameNavigationComponent.SELECTORS.NEXT_BUTTON,
+                    event: 'click',
+                    handler: this._handleNextClick
                 }
             ],
             
-            domElements: []
+            domElements: [
+                { name: 'nextButton', selector: GameNavigationComponent.SELECTORS.NEXT_BUTTON }
+            ]
         };
     }
+
+    /**
+     * Enables the next button when the game waits for the player to read an explanation.
+     * @param {object} payload - The AnswerChecked payload.
+     * @param {string|null} [payload.explanation]
+     * @private
+     */
+    _handleAnswerChecked({ explanation }) {
+        if (explanation) {
+            this.elements.nextButton.disabled = false;
+            this.elements.nextButton.focus();
+        }
+    }
+
+    /**
+     * Disables the next button and tells the game to continue.
+     * @private
+     * @event Events.UI.GameArea.NextClicked
+     */
+    _handleNextClick() {
+        this._disableNextButton();
+        eventBus.emit(Events.UI.GameArea.NextClicked);
+    }
+
+    /** Disables the next button. @private */
+    _disableNextButton() {
+        this.elements.nextButton.disabled = true;
+    }
 } 
\ No newline at end of file
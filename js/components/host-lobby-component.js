@@ -9,6 +9,7 @@ import { getTextTemplate } from '../utils/miscUtils.js'; // Import the utility
  * @extends RefactoredBaseComponent
  * Manages the host's view (#connectionCode) within the #connectionStatus dialog 
  * while waiting for players to join. Displays lobby info and player list.
+ * The host can still change the session length (number of questions, time limit) here.
  * Emits events for starting or cancelling the lobby.
  * @typedef {import('../services/WebRTCManager.js').PlayerData} PlayerData - Define PlayerData type
  */
@@ -34,6 +35,8 @@ class HostLobbyComponent extends RefactoredBaseComponent {
     static PLAYER_LIST_CONTAINER_SELECTOR = '#hostPlayerListContainer';
     static PLAYER_LIST_UL_SELECTOR = '#hostPlayerList';
     static PLAYER_LIST_PLACEHOLDER_SELECTOR = '#hostPlayerListPlaceholder';
+    static QUESTION_COUNT_SELECTOR = '#hostQuestionCount';
+    static TIME_LIMIT_SELECTOR = '#hostTimeLimit';
     static BACK_BUTTON_SELECTOR = '.backToMain'; // Shared back button in parent
 
     /**
@@ -69,6 +72,11 @@ class HostLobbyComponent extends RefactoredBaseComponent {
                     selector: HostLobbyComponent.BACK_BUTTON_SELECTOR,
                     event: 'click',
                     handler: this._handleBackClick
+                },
+                {
+                    selector: `${HostLobbyComponent.QUESTION_COUNT_SELECTOR}, ${HostLobbyComponent.TIME_LIMIT_SELECTOR}`,
+                    event: 'change',
+                    handler: this._handleSessionSettingChange
                 }
                 // Add listener for WhatsApp button if custom logic needed beyond href
                 // { selector: HostLobbyComponent.WHATSAPP_BUTTON_SELECTOR, event: 'click', handler: this._handleWhatsappClick }
@@ -163,6 +171,16 @@ class HostLobbyComponent extends RefactoredBaseComponent {
                     name: 'backButton',
                     selector: HostLobbyComponent.BACK_BUTTON_SELECTOR,
                     required: false
+                },
+                {
+                    name: 'questionCountSelect',
+                    selector: HostLobbyComponent.QUESTION_COUNT_SELECTOR,
+                    required: false
+                },
+                {
+                    name: 'timeLimitSelect',
+                    selector: HostLobbyComponent.TIME_LIMIT_SELECTOR,
+                    required: false
                 }
             ],
             setup: () => {
@@ -233,6 +251,44 @@ class HostLobbyComponent extends RefactoredBaseComponent {
         }
     }
 
+    /**
+     * Shows the lobby with the session length chosen in the sheet selection.
+     * @param {object} [data={}] ShowView data
+     * @param {object} [data.settings] The pending game settings (questionCount, timeLimitMinutes)
+     * @override
+     */
+    show(data = {}) {
+        if (data.settings) {
+            this._setSelectValue(this.elements.questionCountSelect, data.settings.questionCount);
+            this._setSelectValue(this.elements.timeLimitSelect, data.settings.timeLimitMinutes);
+        }
+        super.show(data);
+    }
+
+    /**
+     * Selects the option with a value, falling back to the first option with value '0' ("all" or "none").
+     * @param {HTMLSelectElement|undefined} select
+     * @param {number} [value]
+     * @private
+     */
+    _setSelectValue(select, value) {
+        if (!select) return;
+        const optionValue = String(value || 0);
+        select.value = [...select.options].some(option => option.value === optionValue) ? optionValue : '0';
+    }
+
+    /**
+     * Handles a change of the question count or time limit.
+     * @private
+     * @event Events.UI.HostLobby.SessionSettingsChanged
+     */
+    _handleSessionSettingChange() {
+        eventBus.emit(Events.UI.HostLobby.SessionSettingsChanged, {
+            questionCount: parseInt(this.elements.questionCountSelect.value, 10) || 0,
+            timeLimitMinutes: parseInt(this.elements.timeLimitSelect.value, 10) || 0
+        });
+    }
+
     /**
      * Handles the Multiplayer.Host.Initialized event.
      * Updates the UI with the join code and shareable link.
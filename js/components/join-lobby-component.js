@@ -233,7 +233,8 @@ class JoinLobbyComponent extends RefactoredBaseComponent {
                 let sheetsInfo = defaultSheetsInfo;
                 if (questionsData && Array.isArray(questionsData.sheets) && questionsData.sheets.length > 0) {
                     const sheetNames = questionsData.sheets.map(function(sheet) {
-                        return sheet.name || sheet.id || defaultUnknown;
+                        const sheetName = sheet.name || sheet.id || defaultUnknown;
+                        return sheet.groupName ? sheet.groupName + ': ' + sheetName : sheetName;
                     });
                     sheetsInfo = sheetNames.join(', ');
                 } else {
@@ -19,6 +19,7 @@ class MainMenuComponent extends RefactoredBaseComponent {
         JOIN_GAME_BUTTON: '#joinGame',
         CUSTOM_QUESTIONS_BUTTON: '#myQuestions',
         HIGHSCORES_BUTTON: '#viewHighscores',
+        MASTERY_BUTTON: '#viewMastery',
         ABOUT_BUTTON: '#hoeDan'
     };
 
@@ -67,6 +68,11 @@ class MainMenuComponent extends RefactoredBaseComponent {
                     event: 'click', 
                     handler: this._handleHighscoresClick 
                 },
+                { 
+                    selector: MainMenuComponent.SELECTORS.MASTERY_BUTTON, 
+                    event: 'click', 
+                    handler: this._handleMasteryClick 
+                },
                 { 
                     selector: MainMenuComponent.SELECTORS.ABOUT_BUTTON, 
                     event: 'click', 
@@ -116,6 +122,17 @@ class MainMenuComponent extends RefactoredBaseComponent {
         });
     }
     
+    /**
+     * Handles click on mastery button - navigates to the overview of what the player knows
+     * @private
+     */
+    _handleMasteryClick(event) {
+        eventBus.emit(Events.UI.HideAllViews);
+        eventBus.emit(Events.Navigation.ShowView, { 
+            viewName: Views.Mastery 
+        });
+    }
+    
     /**
      * Handles click on about button - emits action event and navigates
      * @private
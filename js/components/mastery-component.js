@@ -0,0 +1,195 @@
+import RefactoredBaseComponent from './RefactoredBaseComponent.js';
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+import { getTextTemplate } from '../utils/miscUtils.js';
+import { formatSeconds } from '../utils/answerReviewUtils.js';
+import { isImageReference } from '../utils/imageUtils.js';
+
+import questionsManager from '../services/QuestionsManager.js';
+import statisticsManager from '../services/StatisticsManager.js';
+
+const TREND_ICONS = { up: '📈', down: '📉', steady: '➡️' };
+const MASTERY_LEVELS = [
+    { minPercent: 85, className: 'mastery-high' },
+    { minPercent: 60, className: 'mastery-mid' },
+    { minPercent: 0, className: 'mastery-low' }
+];
+
+/**
+ * Component managing the mastery view (#mastery): "what do I know already?".
+ * Shows a cell for every category of getAvailableSheets with the share of right answers,
+ * the trend and the slowest questions, from the StatisticsManager. Tapping a cell starts
+ * a practice game on just that category.
+ */
+export default class MasteryComponent extends RefactoredBaseComponent {
+    static SELECTOR = '#mastery';
+    static VIEW_NAME = 'MasteryComponent';
+
+    static SELECTORS = {
+        GRID: '#masteryGrid',
+        BACK_BUTTON: '.backToMain',
+        CELL_TEMPLATE: '#mastery-cell-template'
+    };
+
+    _loadId = 0;
+
+    /**
+     * Initializes the component using the declarative pattern
+     * @returns {Object} Configuration object with events, domEvents, and domElements
+     */
+    initialize() {
+        return {
+            domEvents: [
+                {
+                    selector: MasteryComponent.SELECTORS.BACK_BUTTON,
+                    event: 'click',
+                    emits: Events.UI.MainMenu.Show
+                },
+                {
+                    selector: MasteryComponent.SELECTORS.GRID,
+                    event: 'click',
+                    handler: this._handleGridClick
+                }
+            ],
+
+            domElements: [
+                {
+                    name: 'grid',
+                    selector: MasteryComponent.SELECTORS.GRID
+                },
+                {
+                    name: 'cellTemplate',
+                    selector: MasteryComponent.SELECTORS.CELL_TEMPLATE
+                }
+            ]
+        };
+    }
+
+    /**
+     * Starts a practice game on the category of the tapped cell, in the sheet's default answer mode.
+     * @param {MouseEvent} event
+     * @event Events.Game.StartRequested
+     * @private
+     */
+    _handleGridClick(event) {
+        const cell = event.target.closest('.mastery-cell');
+        if (!cell?.dataset.sheetId) return;
+
+        eventBus.emit(Events.Game.StartRequested, {
+            mode: 'practice',
+            settings: {
+                sheetIds: [cell.dataset.sheetId],
+                difficulty: 'medium',
+                answerMode: cell.dataset.answerMode,
+                direction: 'forward',
+                tags: [],
+                questionCount: 0,
+                timeLimitMinutes: 0,
+                seed: null,
+                practiceStyle: 'all'
+            },
+            playerName: null
+        });
+    }
+
+    /**
+     * Loads the statistics and renders the grid. A load that is overtaken by a newer one is dropped.
+     * @private
+     */
+    async _loadMastery() {
+        const loadId = ++this._loadId;
+        this.elements.grid.replaceChildren();
+        try {
+            const mastery = await statisticsManager.getSheetMastery(null);
+            if (loadId !== this._loadId) return;
+            this.renderMastery(questionsManager.getAvailableSheets(), mastery);
+        } catch (error) {
+            console.error(`[${this.name}] Could not load statistics:`, error);
+            if (loadId !== this._loadId) return;
+            this.renderMessage(getTextTemplate('masteryLoadError'));
+        }
+    }
+
+    /**
+     * Renders a cell per category, with the title of its sheet file above its first category.
+     * @param {Array<object>} sheets - Categories as returned by QuestionsManager.getAvailableSheets.
+     * @param {Map<string, object>} mastery - Per sheet ID, see StatisticsManager.getSheetMastery.
+     */
+    renderMastery = (sheets, mastery) => {
+        if (sheets.length === 0) {
+            this.renderMessage(getTextTemplate('masteryEmpty'));
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+        let previousFileId = null;
+        sheets.forEach(sheet => {
+            if (sheet.fileId && sheet.fileId !== previousFileId && sheet.metadata.title) {
+                const heading = document.createElement('h2');
+                heading.classList.add('mastery-sheet-title');
+                heading.textContent = sheet.metadata.title;
+                fragment.appendChild(heading);
+            }
+            previousFileId = sheet.fileId || null;
+            fragment.appendChild(this._createCell(sheet, mastery.get(sheet.id)));
+        });
+        this.elements.grid.replaceChildren(fragment);
+    }
+
+    /**
+     * Creates the cell of one category.
+     * @param {{id: string, name: string, metadata: object}} sheet
+     * @param {{attempts: number, percentCorrect: number, trend: string|null, slowest: Array<object>}} [sheetMastery] - Missing when never practiced.
+     * @returns {DocumentFragment}
+     * @private
+     */
+    _createCell(sheet, sheetMastery) {
+        const templateClone = this.elements.cellTemplate.content.cloneNode(true);
+        const cell = templateClone.querySelector('.mastery-cell');
+        cell.dataset.sheetId = sheet.id;
+        cell.dataset.answerMode = sheet.metadata.answerMode || 'choice';
+        cell.querySelector('.mastery-name').textContent = sheet.name;
+
+        if (!sheetMastery) {
+            cell.classList.add('mastery-none');
+            cell.querySelector('.mastery-score').textContent = getTextTemplate('masteryNotPracticed');
+            return templateClone;
+        }
+
+        const level = MASTERY_LEVELS.find(({ minPercent }) => sheetMastery.percentCorrect >= minPercent);
+        cell.classList.add(level.className);
+        cell.querySelector('.mastery-score').textContent = getTextTemplate('masteryPercentCorrect', { '%PERCENT%': sheetMastery.percentCorrect });
+        cell.querySelector('.mastery-attempts').textContent = getTextTemplate('masteryAttempts', { '%COUNT%': sheetMastery.attempts });
+        if (sheetMastery.trend) {
+            const trend = cell.querySelector('.mastery-trend');
+            trend.textContent = TREND_ICONS[sheetMastery.trend];
+            trend.title = getTextTemplate(`masteryTrend_${sheetMastery.trend}`);
+        }
+        // Image questions have no text to list
+        const slowest = sheetMastery.slowest.filter(record => !isImageReference(record.question));
+        if (slowest.length > 0) {
+            const items = slowest.map(record => `${record.question} (${formatSeconds(record.averageResponseTimeMs)})`);
+            cell.querySelector('.mastery-slowest').textContent = getTextTemplate('masterySlowest', { '%ITEMS%': items.join(', ') });
+        }
+        return templateClone;
+    }
+
+    /**
+     * Shows a message instead of the grid.
+     * @param {string} message
+     */
+    renderMessage = (message) => {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = message;
+        this.elements.grid.replaceChildren(paragraph);
+    }
+
+    /**
+     * Override show to load the statistics when the view becomes visible.
+     * @override
+     */
+    show() {
+        super.show();
+        this._loadMastery();
+    }
+}
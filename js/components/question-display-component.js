@@ -1,9 +1,10 @@
 import RefactoredBaseComponent from './RefactoredBaseComponent.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
+import { isImageReference, createImageElement } from '../utils/imageUtils.js';
 
 /**
- * Displays the current question text.
+ * Displays the current question text, or its picture for `img:` questions.
  * @extends RefactoredBaseComponent
  */
 class QuestionDisplayComponent extends RefactoredBaseComponent {
@@ -53,11 +54,15 @@ class QuestionDisplayComponent extends RefactoredBaseComponent {
      * Handles displaying a new question when the Game.QuestionNew event is received
      * @param {Object} payload - The event payload
      * @param {Object} payload.questionData - The question data object
-     * @param {string} payload.questionData.question - The question text
+     * @param {string} payload.questionData.question - The question text or image reference
      */
     _handleQuestionNew({ questionData }) {
-        // Use textContent for safety, assuming questions are plain text
-        this.rootElement.textContent = questionData.question;
+        if (isImageReference(questionData.question)) {
+            this.rootElement.replaceChildren(createImageElement(questionData.question));
+        } else {
+            // Use textContent for safety, assuming questions are plain text
+            this.rootElement.textContent = questionData.question;
+        }
         // Visibility is handled by UIManager showing the parent view
         this.show();
     }
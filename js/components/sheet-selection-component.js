@@ -4,23 +4,44 @@ import Events from '../core/event-constants.js';
 import Views from '../core/view-constants.js'; // Import Views constants
 import questionsManager from '../services/QuestionsManager.js'; // Assuming we might fetch sheet list
 import { getTextTemplate } from '../utils/miscUtils.js'; // Import the utility
+import arrayUtils from '../utils/arrayUtils.js';
 
 /**
  * Class SheetSelectionComponent.
  * 
- * Manages the sheet selection view, allowing users to pick question sheets
- * and difficulty levels for different game modes. Handles sheet list population,
- * selection validation, and game start requests.
+ * Manages the sheet selection view, allowing users to pick question sheets,
+ * difficulty level, answer mode, question direction and session length (number of
+ * questions, time limit) for different game modes. Local games can be given the seed
+ * of an earlier game, to get the same questions in the same order. Practice can ask all
+ * questions or only the ones due in the player's Leitner boxes ("slim leren").
+ * Handles sheet list population, selection validation, and game start requests.
+ * Sheets with a metadata header get an info block (title, grade, description) above
+ * their categories, and their default answer mode is preselected.
+ * When the selected sheets have tagged questions, a tag filter limits the game to the
+ * questions with one of the chosen tags, across all selected sheets.
  *
  * @property {Object} elements Cached DOM elements for the component
  * @property {HTMLElement} elements.sheetsContainer Container for sheet checkboxes
  * @property {HTMLElement} elements.difficultyContainer Container for difficulty options
  * @property {NodeList} elements.difficultyRadios Collection of difficulty radio buttons
+ * @property {HTMLElement} elements.answerModeContainer Container for answer mode options
  * @property {HTMLElement} elements.startButton Button to start the game
  * @property {HTMLElement} elements.backButton Button to return to main menu
  * @property {HTMLElement} elements.sheetNavigationContainer Container for navigation controls
+ * @property {HTMLElement} elements.tagFilter Block with the tag filter, hidden when there are no tags
+ * @property {HTMLElement} elements.tagCheckboxes Container for tag checkboxes
+ * @property {HTMLElement} elements.seedSetting Block with the seed input, hidden for multiplayer games
+ * @property {HTMLInputElement} elements.seedInput Input for the seed of a game to play again
+ * @property {HTMLElement} elements.practiceStyleSetting Block with the practice style, only shown for practice
+ * @property {Array<Object>} availableSheets Sheets as returned by QuestionsManager.getAvailableSheets
  * @property {Set<string>} selectedSheets Set of selected sheet IDs
  * @property {string} selectedDifficulty Currently selected difficulty level
+ * @property {string} selectedAnswerMode Currently selected answer mode ('choice' or 'typed')
+ * @property {string} selectedDirection Currently selected question direction ('forward', 'reverse' or 'mixed')
+ * @property {Set<string>} selectedTags Set of selected tags; all questions are asked when empty
+ * @property {number} selectedQuestionCount Number of questions to ask, 0 for all
+ * @property {number} selectedTimeLimit Time limit of the game in minutes, 0 for none
+ * @property {string} selectedPracticeStyle Practice style ('all' or 'leitner')
  * @property {string|null} gameMode Current game mode (single, practice, multiplayer-host)
  * @property {string|null} playerName Name of the player (for multiplayer)
  */
@@ -33,14 +54,33 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
         SHEETS_CONTAINER: '#sheetsCheckboxes',
         DIFFICULTY_CONTAINER: '#difficultyCol',
         DIFFICULTY_RADIOS: 'input[name="difficulty"]',
+        ANSWER_MODE_CONTAINER: '#answerModeCol',
         START_BUTTON: '#startGame',
         BACK_BUTTON: '#sheetSelectBack',
-        SHEET_NAVIGATION: '#sheetNavigation'
+        SHEET_NAVIGATION: '#sheetNavigation',
+        ANSWER_MODE_RADIOS: 'input[name="answerMode"]',
+        DIRECTION_RADIOS: 'input[name="direction"]',
+        TAG_FILTER: '#tagFilter',
+        TAG_CHECKBOXES: '#tagCheckboxes',
+        SEED_SETTING: '#seedSetting',
+        SEED_INPUT: '#gameSeedInput',
+        PRACTICE_STYLE_SETTING: '#practiceStyleSetting',
+        ADAPTIVE_DIFFICULTY_OPTION: '#adaptiveDifficultyOption'
     };
 
+    static SHEET_INFO_CLASS = 'sheet-info';
+
     // Initial state
+    availableSheets = [];
     selectedSheets = new Set();
     selectedDifficulty = 'medium';
+    selectedAnswerMode = 'choice';
+    selectedDirection = 'forward';
+    selectedTags = new Set();
+    selectedQuestionCount = 0;
+    selectedTimeLimit = 0;
+    selectedPracticeStyle = 'all';
+    _tagRefreshId = 0;
     gameMode = null;
     playerName = null;
 
@@ -68,6 +108,26 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
                     event: 'change',
                     handler: this._handleDifficultyChange
                 },
+                {
+                    selector: '#answerModeCol input[name="answerMode"]',
+                    event: 'change',
+                    handler: this._handleAnswerModeChange
+                },
+                {
+                    selector: '#directionCol input[name="direction"]',
+                    event: 'change',
+                    handler: this._handleDirectionChange
+                },
+                {
+                    selector: '#sessionCol input[name="questionCount"], #sessionCol input[name="timeLimit"], #sessionCol input[name="practiceStyle"]',
+                    event: 'change',
+                    handler: this._handleSessionChange
+                },
+                {
+                    selector: '#tagFilter input[name="tag"]',
+                    event: 'change',
+                    handler: this._handleTagChange
+                },
                 {
                     selector: SheetSelectionComponent.SELECTORS.START_BUTTON,
                     event: 'click',
@@ -88,6 +148,10 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
                     name: 'difficultyContainer',
                     selector: SheetSelectionComponent.SELECTORS.DIFFICULTY_CONTAINER
                 },
+                {
+                    name: 'answerModeContainer',
+                    selector: SheetSelectionComponent.SELECTORS.ANSWER_MODE_CONTAINER
+                },
                 {
                     name: 'startButton',
                     selector: SheetSelectionComponent.SELECTORS.START_BUTTON
@@ -99,6 +163,30 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
                 {
                     name: 'sheetNavigationContainer',
                     selector: SheetSelectionComponent.SELECTORS.SHEET_NAVIGATION
+                },
+                {
+                    name: 'tagFilter',
+                    selector: SheetSelectionComponent.SELECTORS.TAG_FILTER
+                },
+                {
+                    name: 'tagCheckboxes',
+                    selector: SheetSelectionComponent.SELECTORS.TAG_CHECKBOXES
+                },
+                {
+                    name: 'seedSetting',
+                    selector: SheetSelectionComponent.SELECTORS.SEED_SETTING
+                },
+                {
+                    name: 'seedInput',
+                    selector: SheetSelectionComponent.SELECTORS.SEED_INPUT
+                },
+                {
+                    name: 'practiceStyleSetting',
+                    selector: SheetSelectionComponent.SELECTORS.PRACTICE_STYLE_SETTING
+                },
+                {
+                    name: 'adaptiveDifficultyOption',
+                    selector: SheetSelectionComponent.SELECTORS.ADAPTIVE_DIFFICULTY_OPTION
                 }
             ],
             setup: () => {
@@ -140,9 +228,11 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
     _populateSheetList() {
         this.elements.sheetsContainer.innerHTML = '';
         this.selectedSheets.clear();
+        this._renderTagFilter([]);
 
         try {
             const allSheets = questionsManager.getAvailableSheets(); 
+            this.availableSheets = Array.isArray(allSheets) ? allSheets : [];
 
             if (!Array.isArray(allSheets) || allSheets.length === 0) {
                 this.elements.sheetsContainer.innerHTML = `<p><i>${getTextTemplate('sheetSelectNoneAvailable')}</i></p>`;
@@ -151,7 +241,17 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
             }
 
             const fragment = document.createDocumentFragment();
+            let previousFileId = null;
             allSheets.forEach((sheet, index) => {
+                // Show the sheet's metadata once, above its first category
+                if (sheet.fileId && sheet.fileId !== previousFileId) {
+                    const sheetInfo = this._createSheetInfo(sheet.metadata);
+                    if (sheetInfo) {
+                        fragment.appendChild(sheetInfo);
+                    }
+                }
+                previousFileId = sheet.fileId || null;
+
                 const label = document.createElement('label');
                 const checkbox = document.createElement('input');
                 
@@ -190,8 +290,65 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
         this._updateStartButtonState();
     }
 
+    /**
+     * Creates the info block describing a sheet, from its metadata header.
+     * 
+     * @param Object $metadata Sheet metadata (title, grade, description, ...)
+     * @return HTMLElement|null The info element, or null when there is nothing to show
+     * @private
+     */
+    _createSheetInfo(metadata) {
+        if (!metadata || !(metadata.title || metadata.grade || metadata.description)) {
+            return null;
+        }
+        const info = document.createElement('div');
+        info.classList.add(SheetSelectionComponent.SHEET_INFO_CLASS);
+        if (metadata.language) {
+            info.lang = metadata.language;
+        }
+
+        if (metadata.title || metadata.grade) {
+            const heading = document.createElement('h4');
+            heading.textContent = metadata.title || '';
+            if (metadata.grade) {
+                const grade = document.createElement('span');
+                grade.classList.add('sheet-grade');
+                grade.textContent = metadata.grade;
+                heading.appendChild(grade);
+            }
+            info.appendChild(heading);
+        }
+        if (metadata.description) {
+            const description = document.createElement('p');
+            description.textContent = metadata.description;
+            info.appendChild(description);
+        }
+        return info;
+    }
+
+    /**
+     * Preselects the default answer mode of the selected sheets, if they agree on one.
+     * 
+     * @return void
+     * @private
+     */
+    _applyDefaultAnswerMode() {
+        const defaultModes = new Set(this.availableSheets
+            .filter(sheet => this.selectedSheets.has(sheet.id) && sheet.metadata.answerMode)
+            .map(sheet => sheet.metadata.answerMode));
+        if (defaultModes.size !== 1) {
+            return;
+        }
+        const [answerMode] = defaultModes;
+        const radio = this.elements.answerModeContainer.querySelector(`${SheetSelectionComponent.SELECTORS.ANSWER_MODE_RADIOS}[value="${answerMode}"]`);
+        if (radio) {
+            radio.checked = true;
+            this.selectedAnswerMode = answerMode;
+        }
+    }
+
     /** 
-     * Updates visibility of the difficulty selection based on game mode.
+     * Updates visibility of the difficulty selection, the seed input and the practice style based on game mode.
      * 
      * @return void
      * @private 
@@ -202,6 +359,16 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
         } else {
             this.elements.difficultyContainer.classList.remove('hidden');
         }
+        // Each multiplayer player gets their own order, so a seed only applies to local games
+        this.elements.seedSetting.classList.toggle('hidden', this.gameMode === 'multiplayer-host');
+        this.elements.practiceStyleSetting.classList.toggle('hidden', this.gameMode !== 'practice');
+        // The adaptive pace follows one player, so it is only offered in single player
+        this.elements.adaptiveDifficultyOption.classList.toggle('hidden', this.gameMode !== 'single');
+        if (this.gameMode !== 'single' && this.selectedDifficulty === 'adaptive') {
+            const radio = this.elements.difficultyContainer.querySelector(`${SheetSelectionComponent.SELECTORS.DIFFICULTY_RADIOS}[value="medium"]`);
+            radio.checked = true;
+            this.selectedDifficulty = 'medium';
+        }
     }
 
     /** 
@@ -216,8 +383,8 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
         // Find the target checkbox that was clicked (might be the event.target or a child)
         const checkbox = event.target.type === 'checkbox' ? event.target : event.target.querySelector('input[type="checkbox"]');
         
-        if (!checkbox || checkbox.type !== 'checkbox') {
-            return;
+        if (!checkbox || checkbox.type !== 'checkbox' || !this.elements.sheetsContainer.contains(checkbox)) {
+            return; // Tag checkboxes have their own handler
         }
             
         const sheetId = checkbox.value;
@@ -230,7 +397,70 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
             this.selectedSheets.delete(sheetId);
         }
         
+        this._applyDefaultAnswerMode();
         this._updateStartButtonState();
+        this._refreshTagFilter();
+    }
+
+    /**
+     * Loads the tags of the selected sheets and shows them in the tag filter.
+     * Only the answer to the latest request is shown, as selections can change faster than tags load.
+     * 
+     * @return Promise<void>
+     * @private
+     */
+    async _refreshTagFilter() {
+        const refreshId = ++this._tagRefreshId;
+        const tags = this.selectedSheets.size > 0
+            ? await questionsManager.getTagsForSheets(Array.from(this.selectedSheets))
+            : [];
+        if (refreshId === this._tagRefreshId) {
+            this._renderTagFilter(tags);
+        }
+    }
+
+    /**
+     * Shows a checkbox per tag, keeping chosen tags that are still available.
+     * The filter is hidden when there are no tags.
+     * 
+     * @param Array<{tag: string, count: number}> $tags Tags with their number of questions
+     * @return void
+     * @private
+     */
+    _renderTagFilter(tags) {
+        const availableTags = new Set(tags.map(({ tag }) => tag));
+        this.selectedTags = new Set([...this.selectedTags].filter(tag => availableTags.has(tag)));
+        this.elements.tagCheckboxes.innerHTML = '';
+
+        tags.forEach(({ tag, count }) => {
+            const label = document.createElement('label');
+            label.classList.add('tag-option');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.name = 'tag';
+            checkbox.value = tag;
+            checkbox.checked = this.selectedTags.has(tag);
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` #${tag} (${count})`));
+            this.elements.tagCheckboxes.appendChild(label);
+        });
+        this.elements.tagFilter.classList.toggle('hidden', tags.length === 0);
+    }
+
+    /** 
+     * Handles changes to tag checkboxes.
+     * 
+     * @param Event $event The change event
+     * @return void
+     * @private 
+     */
+    _handleTagChange(event) {
+        const checkbox = event.target;
+        if (checkbox.checked) {
+            this.selectedTags.add(checkbox.value);
+        } else {
+            this.selectedTags.delete(checkbox.value);
+        }
     }
 
     /** 
@@ -246,6 +476,55 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
         }
     }
 
+    /** 
+     * Handles changes to answer mode radio buttons.
+     * 
+     * @param Event $event The change event
+     * @return void
+     * @private 
+     */
+    _handleAnswerModeChange(event) {
+        if (event.target.type === 'radio' && event.target.name === 'answerMode') {
+            this.selectedAnswerMode = event.target.value;
+        }
+    }
+
+    /** 
+     * Handles changes to question direction radio buttons.
+     * 
+     * @param Event $event The change event
+     * @return void
+     * @private 
+     */
+    _handleDirectionChange(event) {
+        if (event.target.type === 'radio' && event.target.name === 'direction') {
+            this.selectedDirection = event.target.value;
+        }
+    }
+
+    /** 
+     * Handles changes to the question count, time limit and practice style radio buttons.
+     * 
+     * @param Event $event The change event
+     * @return void
+     * @private 
+     */
+    _handleSessionChange(event) {
+        if (event.target.type !== 'radio') {
+            return;
+        }
+        if (event.target.name === 'practiceStyle') {
+            this.selectedPracticeStyle = event.target.value;
+            return;
+        }
+        const value = parseInt(event.target.value, 10) || 0;
+        if (event.target.name === 'questionCount') {
+            this.selectedQuestionCount = value;
+        } else if (event.target.name === 'timeLimit') {
+            this.selectedTimeLimit = value;
+        }
+    }
+
     /**
      * Enables/disables the start button based on selection and toggles active state
      * of the sheet navigation container.
@@ -287,7 +566,14 @@ class SheetSelectionComponent extends RefactoredBaseComponent {
         
         const settings = {
             sheetIds: sheetIds,
-            difficulty: this.selectedDifficulty
+            difficulty: this.selectedDifficulty,
+            answerMode: this.selectedAnswerMode,
+            direction: this.selectedDirection,
+            tags: Array.from(this.selectedTags),
+            questionCount: this.selectedQuestionCount,
+            timeLimitMinutes: this.selectedTimeLimit,
+            seed: this.gameMode === 'multiplayer-host' ? null : arrayUtils.normalizeSeed(this.elements.seedInput.value),
+            practiceStyle: this.gameMode === 'practice' ? this.selectedPracticeStyle : null
         };
         
         eventBus.emit(Events.Game.StartRequested, {
@@ -249,7 +249,14 @@ class MultiplayerClientCoordinator {
         try {
             const clientQuizEngine = QuizEngine.createInstance(gameData);
             
-            const gameSettings = { difficulty: gameData.difficulty }; 
+            const gameSettings = {
+                difficulty: gameData.difficulty,
+                answerMode: gameData.settings.answerMode || 'choice',
+                direction: gameData.settings.direction || 'forward',
+                questionCount: gameData.settings.questionCount || 0,
+                questionKeys: gameData.settings.questionKeys || null,
+                timeLimitMinutes: gameData.settings.timeLimitMinutes || 0
+            };
             this.activeGame = new MultiplayerClientGame(
                 gameSettings,             // Settings object
                 clientQuizEngine,         // The engine instance created by the factory method
@@ -445,7 +452,8 @@ class MultiplayerClientCoordinator {
         // Inject localPlayerId into results before showing dialog
         const resultsWithContext = {
             ...results,
-            localPlayerId: webRTCManager.getMyPeerId() // Add local ID here
+            localPlayerId: webRTCManager.getMyPeerId(), // Add local ID here
+            answerLog: this.activeGame.answerLog // Local player's answers, for the review table
         };
 
         uiManager.showDialog(Views.MultiplayerEndDialog, resultsWithContext);
@@ -458,7 +466,7 @@ class MultiplayerClientCoordinator {
                 const sheetKey = this.activeGame.settings.sheetIds ? this.activeGame.settings.sheetIds.join(',') : 'unknown_sheets';
                 const difficulty = this.activeGame.settings.difficulty;
                 
-                highscoreManager.addHighscore(winnerName, winnerScore, sheetKey, 'multiplayer', difficulty);
+                highscoreManager.addHighscore(winnerName, winnerScore, sheetKey, 'multiplayer', difficulty, this.activeGame.settings.direction);
                 
             } 
             
@@ -350,7 +350,7 @@ class MultiplayerHostCoordinator {
                 const sheetKey = this.activeGame.settings.sheetIds ? this.activeGame.settings.sheetIds.join(',') : 'unknown_sheets';
                 const difficulty = this.activeGame.settings.difficulty;
                 
-                highscoreManager.addHighscore(winnerName, winnerScore, sheetKey, 'multiplayer', difficulty);
+                highscoreManager.addHighscore(winnerName, winnerScore, sheetKey, 'multiplayer', difficulty, this.activeGame.settings.direction);
                 
             } 
             
@@ -359,7 +359,8 @@ class MultiplayerHostCoordinator {
         
         // Show the end dialog
         if (results) {
-             const resultsWithContext = { ...results }; 
+             // The host's own answers are not part of the results broadcast to the clients
+             const resultsWithContext = { ...results, answerLog: this.activeGame.answerLog }; 
              uiManager.showDialog(Views.MultiplayerEndDialog, resultsWithContext);
          } else {
              console.warn("[MultiplayerHostCoordinator] Game.Finished received, but no results payload found. Cannot show end dialog.");
@@ -430,7 +431,12 @@ class MultiplayerHostCoordinator {
         // Ensure settings has all required properties with defaults if not provided
         this.pendingGameSettings = {
             sheetIds: settings.sheetIds,
-            difficulty: settings.difficulty || 'medium'
+            difficulty: settings.difficulty || 'medium',
+            answerMode: settings.answerMode || 'choice',
+            direction: settings.direction || 'forward',
+            tags: settings.tags || [],
+            questionCount: settings.questionCount || 0,
+            timeLimitMinutes: settings.timeLimitMinutes || 0
         };
         
         console.log("[MultiplayerHostCoordinator] Stored pendingGameSettings:", this.pendingGameSettings);
@@ -525,7 +531,8 @@ class MultiplayerHostCoordinator {
             viewName: Views.HostLobby, // Ensure Views.HostLobby exists and is correct
             data: { 
                 joinCode: hostId,
-                playerName: this.playerName 
+                playerName: this.playerName,
+                settings: this.pendingGameSettings
             } 
         });
     }
@@ -4,6 +4,7 @@ import Views from '../core/view-constants.js';
 import miscUtils from '../utils/miscUtils.js';
 import QuizEngine from '../services/QuizEngine.js';
 import SinglePlayerGame from '../game/SinglePlayerGame.js';
+import PracticeGame from '../game/PracticeGame.js';
 import highscoreManager from '../services/HighscoreManager.js';
 import uiManager from '../ui/UIManager.js';
 
@@ -15,7 +16,7 @@ import uiManager from '../ui/UIManager.js';
  * single player game lifecycle events.
  * 
  * @property {QuizEngine|null} quizEngine The quiz engine instance used for the current game
- * @property {SinglePlayerGame|null} activeGame The currently active single player game instance, if any
+ * @property {SinglePlayerGame|PracticeGame|null} activeGame The currently active single player or practice game instance, if any
  * @property {string|null} currentGameMode The current game mode (should be 'single-player' when active)
  * @property {Object|null} pendingGameSettings Pending settings for a game about to start
  */
@@ -55,6 +56,7 @@ class SinglePlayerGameCoordinator {
         eventBus.on(Events.UI.GameArea.LeaveGameClicked, this.handleLeaveGame);
         eventBus.on(Events.UI.Dialog.SaveScoreClicked, this._handleSaveScore);
         eventBus.on(Events.UI.EndDialog.RestartPracticeClicked, this._handleRestartPractice);
+        eventBus.on(Events.UI.EndDialog.PracticeMistakesClicked, this._handlePracticeMistakes);
         
         console.info("[SinglePlayerGameCoordinator] Listeners registered.");
     }
@@ -126,9 +128,16 @@ class SinglePlayerGameCoordinator {
         try {
             this.quizEngine = QuizEngine.getInstance();
             
-            await this.quizEngine.loadQuestionsFromManager(settings.sheetIds, settings.difficulty);
+            await this.quizEngine.loadQuestionsFromManager(settings.sheetIds, settings.difficulty, {
+                direction: settings.direction,
+                tags: settings.tags,
+                questionCount: settings.questionCount,
+                seed: settings.seed
+            });
             
-            this.activeGame = new SinglePlayerGame(settings, this.quizEngine, playerName, mode);
+            this.activeGame = mode === 'practice'
+                ? new PracticeGame(settings, this.quizEngine, playerName)
+                : new SinglePlayerGame(settings, this.quizEngine, playerName, mode);
             this.currentGameMode = mode;
             
             await this.activeGame.start();
@@ -223,12 +232,13 @@ class SinglePlayerGameCoordinator {
      * @param {string} payload.gameName Name of the game played (sheet key)
      * @param {string} payload.mode Game mode ('single')
      * @param {string} payload.difficulty Game difficulty
+     * @param {string} [payload.direction] Question direction ('forward', 'reverse', 'mixed')
      * @private
      * @event Events.UI.Dialog.SaveScoreClicked
      */
-    _handleSaveScore = ({ name, score, gameName, mode, difficulty }) => {
+    _handleSaveScore = ({ name, score, gameName, mode, difficulty, direction }) => {
         try {
-            const saved = highscoreManager.addHighscore(name, score, gameName, mode, difficulty); 
+            const saved = highscoreManager.addHighscore(name, score, gameName, mode, difficulty, direction); 
             if (saved) {
                 eventBus.emit(Events.System.ShowFeedback, { message: miscUtils.getTextTemplate('hsSaveSuccess'), level: 'success' });
             } 
@@ -254,6 +264,41 @@ class SinglePlayerGameCoordinator {
         // Show sheet selection again for practice mode
         eventBus.emit(Events.Navigation.ShowView, { viewName: Views.SheetSelection, data: { mode: 'practice' } });
     }
+
+    /**
+     * Handles "practice my mistakes" from an end dialog.
+     * Starts a practice game with only the questions answered wrong, which repeats
+     * them until each one is answered right.
+     *
+     * @param {object} payload Event payload from PracticeMistakesClicked
+     * @param {Array<object>} payload.questions The questions answered wrong or too late
+     * @param {object} payload.settings Settings of the game that ended, for the sheets and answer mode
+     * @private
+     * @event Events.UI.EndDialog.PracticeMistakesClicked
+     */
+    _handlePracticeMistakes = async ({ questions, settings }) => {
+        this.resetState();
+        if (!Array.isArray(questions) || questions.length === 0) {
+            return;
+        }
+        const practiceSettings = {
+            sheetIds: settings.sheetIds,
+            answerMode: settings.answerMode,
+            direction: settings.direction,
+            retryQuestions: questions
+        };
+        try {
+            this.quizEngine = QuizEngine.getInstance();
+            this.activeGame = new PracticeGame(practiceSettings, this.quizEngine, this.playerName);
+            this.currentGameMode = 'practice';
+            await this.activeGame.start();
+        } catch (error) {
+            console.error(`[SinglePlayerGameCoordinator] Error starting mistakes practice: ${error.message}`, error);
+            this.resetState();
+            eventBus.emit(Events.System.ShowFeedback, { message: miscUtils.getTextTemplate('genericInternalError'), level: 'error' });
+            eventBus.emit(Events.Navigation.ShowView, { viewName: Views.MainMenu });
+        }
+    }
 }
 
 export default SinglePlayerGameCoordinator;
@@ -57,6 +57,14 @@ const Events = {
          * @property {string} code - The 6-digit join code detected.
          */
         ValidJoinCodeDetected: 'Events.System.ValidJoinCodeDetected',
+        /**
+         * Fired at startup when the URL fragment holds a shared sheet (#sheet=...), see utils/shareUtils.js.
+         * Listened for by QuestionsManager, which offers to import the sheet.
+         * @event Events.System.SharedSheetDetected
+         * @type {object}
+         * @property {string} encodedSheet - The encoded sheet, without the '#sheet=' prefix.
+         */
+        SharedSheetDetected: 'Events.System.SharedSheetDetected',
         /**
          * Fired when the application is fully initialized and ready to use.
          * @event Events.System.AppInitialized
@@ -168,6 +176,7 @@ const Events = {
          * @property {object} questionData - The question details.
          * @property {string} questionData.question - The question text.
          * @property {string[]} questionData.answers - Shuffled array of possible answers.
+         * @property {'choice'|'typed'} questionData.answerMode - Whether to show answer buttons or a text input.
          */
         QuestionNew: 'Events.Game.QuestionNew',
         /**
@@ -175,9 +184,16 @@ const Events = {
          * @event Events.Game.AnswerChecked
          * @type {object}
          * @property {boolean} isCorrect - Whether the submitted answer was correct.
+         * @property {boolean} [isAlmostCorrect] - True when a typed answer was accepted despite a small typo.
          * @property {number} scoreDelta - Change in score resulting from this answer.
          * @property {string} correctAnswer - The correct answer text.
          * @property {any} submittedAnswer - The answer submitted by the player.
+         * @property {string|null} [explanation] - Explanation to show now; the game then waits for Events.UI.GameArea.NextClicked.
+         * @property {string} [playerName] - The player who answered; empty for local games, which use the stored player name.
+         * @property {string|null} [question] - The question as asked.
+         * @property {string|null} [sheetId] - The sheet (category) the question came from.
+         * @property {string|null} [questionId] - The ID of the question, if its sheet gives one.
+         * @property {number} [responseTimeMs] - Time from showing the question to the answer (or the time running out).
          */
         AnswerChecked: 'Events.Game.AnswerChecked',
         /**
@@ -547,7 +563,13 @@ const Events = {
              * Fired when the player clicks the leave game button.
              * @event Events.UI.GameArea.LeaveGameClicked
              */
-            LeaveGameClicked: 'Events.UI.GameArea.LeaveGameClicked'
+            LeaveGameClicked: 'Events.UI.GameArea.LeaveGameClicked',
+
+            /**
+             * Fired when the player clicks the next button after reading an explanation.
+             * @event Events.UI.GameArea.NextClicked
+             */
+            NextClicked: 'Events.UI.GameArea.NextClicked'
         },
          /** @namespace Events.UI.Dialog */
         Dialog: {
@@ -590,6 +612,7 @@ const Events = {
               * @type {object}
               * @property {string} name - The player name entered.
               * @property {number} score - The score achieved.
+              * @property {string} [direction] - The question direction ('forward', 'reverse', 'mixed').
               */
              SaveScoreClicked: 'Events.UI.Dialog.SaveScoreClicked',
         },
@@ -655,6 +678,14 @@ const Events = {
              * @event Events.UI.HostLobby.StartGameClicked
              */
             StartGameClicked: 'Events.UI.HostLobby.StartGameClicked',
+            /**
+             * Emitted when the host changes the session length in the host lobby.
+             * @event Events.UI.HostLobby.SessionSettingsChanged
+             * @type {object}
+             * @property {number} questionCount - Number of questions, 0 for all.
+             * @property {number} timeLimitMinutes - Time limit of the game in minutes, 0 for none.
+             */
+            SessionSettingsChanged: 'Events.UI.HostLobby.SessionSettingsChanged',
             /**
              * Emitted when host cancels hosting from the host lobby.
              * @event Events.UI.HostLobby.CancelClicked
@@ -683,7 +714,15 @@ const Events = {
             /** Fired when the user clicks "Return to Menu" in any end dialog. */
             ReturnToMenuClicked: 'Events.UI.EndDialog.ReturnToMenuClicked',
             /** User clicked Restart Practice in the practice end dialog. */
-            RestartPracticeClicked: 'Events.UI.EndDialog.RestartPracticeClicked'
+            RestartPracticeClicked: 'Events.UI.EndDialog.RestartPracticeClicked',
+            /**
+             * User clicked "practice my mistakes" in the single player or practice end dialog.
+             * @event Events.UI.EndDialog.PracticeMistakesClicked
+             * @type {object}
+             * @property {Array<object>} questions - The questions answered wrong or too late (results.mistakes).
+             * @property {object} settings - The settings of the game that just ended.
+             */
+            PracticeMistakesClicked: 'Events.UI.EndDialog.PracticeMistakesClicked'
         },
         /** @namespace Events.UI.CustomQuestions */
         CustomQuestions: {
@@ -694,6 +733,7 @@ const Events = {
              * @property {string} sheetId - The ID of the sheet being saved (might be new or existing).
              * @property {string} name - The name of the sheet.
              * @property {string} questionsText - The raw text from the textarea.
+             * @property {'text'|'value'} answerCheck - 'value' when answers are compared as numbers ("0,5" = "1/2").
              */
             SaveClicked: 'Events.UI.CustomQuestions.SaveClicked',
             /**
@@ -905,6 +945,7 @@ const Events = {
             * @property {string} sheetId - The ID of the sheet being edited.
             * @property {string} name - The name of the sheet.
             * @property {string} questionsText - The raw questions text formatted for the textarea.
+            * @property {'text'|'value'} answerCheck - How answers of the sheet are compared.
             */
             SheetLoadedForEdit: 'Events.Menu.CustomQuestions.SheetLoadedForEdit',
         },
@@ -132,6 +132,19 @@ class Timer {
         // DO NOT clear _initialStartTime here, reset() handles that
     }
     
+    /**
+     * Changes the duration of the countdown. Meant to be called while the timer is stopped,
+     * the next reset and start use the new duration.
+     * @param {number} durationSeconds - The new duration of the timer in seconds.
+     */
+    setDuration(durationSeconds) {
+        this.durationMs = durationSeconds * 1000;
+        if (!this.isRunning) {
+            this.remainingMs = this.durationMs;
+        }
+        console.log(`[Timer] Duration set to ${durationSeconds}s`);
+    }
+
     /**
      * Resets the timer to its initial duration and stopped state.
      */
@@ -10,6 +10,7 @@ const Views = Object.freeze({
     JoinLobby:          'JoinLobbyComponent',
     GameArea:           'GameAreaComponent', // Assuming this is registered name
     Highscores:         'HighscoresComponent',
+    Mastery:            'MasteryComponent',
     CustomQuestions:    'CustomQuestionsComponent',
     About:              'AboutComponent',
     SheetSelection:     'SheetSelectionComponent',
@@ -2,12 +2,14 @@ import BaseDialog from './base-dialog.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import { getTextTemplate } from '../utils/miscUtils.js';
+import { createAnswerReviewRows } from '../utils/answerReviewUtils.js';
 
 
 /**
  * @class MultiplayerEndDialog
  * @extends BaseDialog
- * Displays the final results and rankings for a multiplayer game.
+ * Displays the final results and rankings for a multiplayer game,
+ * and a review table of the local player's answers.
  */
 class MultiplayerEndDialog extends BaseDialog {
     static SELECTOR = '#multiplayerEndDialog';
@@ -17,7 +19,9 @@ class MultiplayerEndDialog extends BaseDialog {
         TITLE_DISPLAY: '#multiplayerEndTitle',
         PLAYER_LIST_BODY: '#mpResultsList',
         BACK_BUTTON: '#mpReturnToMenuButton',
-        PLAYER_TEMPLATE: '#mp-results-row-template'
+        PLAYER_TEMPLATE: '#mp-results-row-template',
+        ANSWER_REVIEW: '#mpAnswerReview',
+        ANSWER_REVIEW_LIST: '#mpAnswerReviewList'
     };
 
     /** 
@@ -50,6 +54,14 @@ class MultiplayerEndDialog extends BaseDialog {
                     name: 'playerTemplate',
                     selector: MultiplayerEndDialog.SELECTORS.PLAYER_TEMPLATE,
                     isGlobal: true // Template is not under the component's root element
+                },
+                {
+                    name: 'answerReview',
+                    selector: MultiplayerEndDialog.SELECTORS.ANSWER_REVIEW
+                },
+                {
+                    name: 'answerReviewList',
+                    selector: MultiplayerEndDialog.SELECTORS.ANSWER_REVIEW_LIST
                 }
             ]
         };
@@ -71,6 +83,7 @@ class MultiplayerEndDialog extends BaseDialog {
      * @param {Array<object>} results.players - Sorted array of player objects { id, name, score }.
      * @param {string|null} results.winnerId - ID of the winning player, or null for a draw.
      * @param {string|null} results.localPlayerId - ID of the local player viewing the dialog.
+     * @param {Array<object>} [results.answerLog] - Answers of the local player, for the review table.
      */
     updateDisplay(results) {
         if (!results || !results.players) {
@@ -117,6 +130,23 @@ class MultiplayerEndDialog extends BaseDialog {
             if (!this.elements.playerListBody) console.error(`[${this.name}] Cannot populate results: List body (#mpResultsList) not found.`);
             if (!this.elements.playerTemplate) console.error(`[${this.name}] Cannot populate results: Template (#mp-results-row-template) not found.`);
         }
+
+        this._renderAnswerReview(results.answerLog || []);
+    }
+
+    /**
+     * Fills the review table with the local player's answers, collapsed.
+     * The table is hidden when there are none.
+     * @param {Array<object>} answerLog
+     * @private
+     */
+    _renderAnswerReview(answerLog) {
+        const { answerReview, answerReviewList } = this.elements;
+        if (!answerReview || !answerReviewList) return;
+
+        answerReviewList.replaceChildren(...createAnswerReviewRows(answerLog));
+        answerReview.open = false;
+        answerReview.classList.toggle('hidden', answerLog.length === 0);
     }
 
     /**
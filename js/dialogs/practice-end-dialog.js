@@ -1,13 +1,16 @@
 import BaseDialog from './base-dialog.js';
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
+import { getTextTemplate } from '../utils/miscUtils.js';
 
 
 /**
  * Class PracticeEndDialog.
  * 
  * Dialog displayed at the end of a practice game session, providing options
- * to try again or return to the main menu.
+ * to try again or return to the main menu. After a Leitner session ("slim leren") it
+ * shows how many questions moved up a box and how many went back to box 1.
+ * When questions were answered wrong, it offers to practice just those.
  * 
  * @extends BaseDialog
  */
@@ -17,9 +20,14 @@ class PracticeEndDialog extends BaseDialog {
     
     static SELECTORS = {
         RESTART_BUTTON: '#practiceTryAgainButton',
-        MENU_BUTTON: '#practiceMenuButton'
+        MENU_BUTTON: '#practiceMenuButton',
+        MISTAKES_BUTTON: '#practiceMistakesButton',
+        SEED_DISPLAY: '#practiceSeed',
+        LEITNER_SUMMARY: '#practiceLeitnerSummary'
     };
 
+    currentResults = null;
+
     /**
      * Initializes component with event handlers and DOM elements.
      * 
@@ -37,6 +45,11 @@ class PracticeEndDialog extends BaseDialog {
                     selector: PracticeEndDialog.SELECTORS.MENU_BUTTON, 
                     event: 'click', 
                     handler: this._handleBackToMenu 
+                },
+                {
+                    selector: PracticeEndDialog.SELECTORS.MISTAKES_BUTTON,
+                    event: 'click',
+                    handler: this._handlePracticeMistakes
                 }
             ],
             domElements: [
@@ -47,6 +60,18 @@ class PracticeEndDialog extends BaseDialog {
                 {
                     name: 'menuButton',
                     selector: PracticeEndDialog.SELECTORS.MENU_BUTTON
+                },
+                {
+                    name: 'seedDisplay',
+                    selector: PracticeEndDialog.SELECTORS.SEED_DISPLAY
+                },
+                {
+                    name: 'leitnerSummary',
+                    selector: PracticeEndDialog.SELECTORS.LEITNER_SUMMARY
+                },
+                {
+                    name: 'mistakesButton',
+                    selector: PracticeEndDialog.SELECTORS.MISTAKES_BUTTON
                 }
             ]
         };
@@ -66,6 +91,22 @@ class PracticeEndDialog extends BaseDialog {
         this.hide();
     }
 
+    /**
+     * Handles the "practice my mistakes" button click.
+     * Emits event with the questions answered wrong and hides dialog.
+     * 
+     * @return void
+     * @event Events.UI.EndDialog.PracticeMistakesClicked
+     * @private
+     */
+    _handlePracticeMistakes() {
+        eventBus.emit(Events.UI.EndDialog.PracticeMistakesClicked, {
+            questions: this.currentResults.mistakes,
+            settings: this.currentResults.settings
+        });
+        this.hide();
+    }
+
     /**
      * Handles back to menu button click.
      * Emits event and hides dialog.
@@ -81,13 +122,28 @@ class PracticeEndDialog extends BaseDialog {
     }
 
     /**
-     * Shows the dialog.
+     * Shows the dialog with the seed of the practice session and the Leitner box moves.
      * 
      * @param {Object} results The game results
+     * @param {string} [results.seed] Seed of the game, to practice the same questions again
+     * @param {{movedUp: number, movedDown: number}|null} [results.leitnerMoves] Box moves, only for a Leitner session
+     * @param {Array<object>} results.mistakes Questions answered wrong, for "practice my mistakes"
      * @return void
      */
     show(results) {
+        this.currentResults = results;
+        this.elements.mistakesButton.classList.toggle('hidden', results.mistakes.length === 0);
         // No need to display score in practice mode
+        if (this.elements.seedDisplay) {
+            this.elements.seedDisplay.textContent = results?.seed || '?';
+        }
+        const leitnerMoves = results?.leitnerMoves;
+        if (this.elements.leitnerSummary) {
+            this.elements.leitnerSummary.textContent = leitnerMoves
+                ? getTextTemplate('practiceLeitnerSummary', { '%UP%': leitnerMoves.movedUp, '%DOWN%': leitnerMoves.movedDown })
+                : '';
+            this.elements.leitnerSummary.classList.toggle('hidden', !leitnerMoves);
+        }
         super.show(results);
     }
 }
@@ -3,6 +3,9 @@ import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import { getTextTemplate } from '../utils/miscUtils.js';
 import miscUtils from '../utils/miscUtils.js';  // Import default export
+import { isImageReference, createImageElement } from '../utils/imageUtils.js';
+import { createAnswerReviewRows } from '../utils/answerReviewUtils.js';
+import Timer from '../core/timer.js';
 
 
 /**
@@ -10,6 +13,10 @@ import miscUtils from '../utils/miscUtils.js';  // Import default export
  * 
  * Dialog displayed at the end of a single player game.
  * Displays the final score and allows saving to highscores or restarting.
+ * Questions answered wrong that have an explanation are listed with it, for review,
+ * and the questions answered wrong or too late can be practiced right away.
+ * A review table lists every answer with its time and points.
+ * After an adaptive game the final pace level is shown.
  * 
  * @extends BaseDialog
  */
@@ -19,18 +26,26 @@ class SinglePlayerEndDialog extends BaseDialog {
     
     static SELECTORS = {
         SCORE_DISPLAY: '#finalScore',
+        SEED_DISPLAY: '#finalSeed',
+        PACE_DISPLAY: '#finalPace',
         NAME_INPUT: '#playerName',
         NAME_INPUT_CONTAINER: 'div:has(> #playerName)',
         SAVE_BUTTON: '#saveHighscore',
         PLAY_AGAIN_BUTTON: '#restartGame',
         MENU_BUTTON: '#spEndMenuButton',
-        REFRESH_NAME_BUTTON: '#refreshNameButton'
+        MISTAKES_BUTTON: '#finalMistakesButton',
+        REFRESH_NAME_BUTTON: '#refreshNameButton',
+        EXPLANATION_REVIEW: '#explanationReview',
+        EXPLANATION_REVIEW_LIST: '#explanationReviewList',
+        ANSWER_REVIEW: '#finalAnswerReview',
+        ANSWER_REVIEW_LIST: '#finalAnswerReviewList'
     };
     
     // State variables as class properties
     currentGameResults = null;
     gameName = 'default';
     currentDifficulty = 'Unknown Difficulty';
+    currentDirection = 'forward';
     currentMode = 'single';
 
     /**
@@ -60,6 +75,11 @@ class SinglePlayerEndDialog extends BaseDialog {
                     selector: SinglePlayerEndDialog.SELECTORS.REFRESH_NAME_BUTTON, 
                     event: 'click', 
                     handler: this._handleRefreshName 
+                },
+                {
+                    selector: SinglePlayerEndDialog.SELECTORS.MISTAKES_BUTTON,
+                    event: 'click',
+                    handler: this._handlePracticeMistakes
                 }
             ],
             domElements: [
@@ -67,6 +87,14 @@ class SinglePlayerEndDialog extends BaseDialog {
                     name: 'scoreDisplay',
                     selector: SinglePlayerEndDialog.SELECTORS.SCORE_DISPLAY
                 },
+                {
+                    name: 'seedDisplay',
+                    selector: SinglePlayerEndDialog.SELECTORS.SEED_DISPLAY
+                },
+                {
+                    name: 'paceDisplay',
+                    selector: SinglePlayerEndDialog.SELECTORS.PACE_DISPLAY
+                },
                 {
                     name: 'nameInputContainer',
                     selector: SinglePlayerEndDialog.SELECTORS.NAME_INPUT_CONTAINER
@@ -90,6 +118,26 @@ class SinglePlayerEndDialog extends BaseDialog {
                 {
                     name: 'refreshNameButton',
                     selector: SinglePlayerEndDialog.SELECTORS.REFRESH_NAME_BUTTON
+                },
+                {
+                    name: 'mistakesButton',
+                    selector: SinglePlayerEndDialog.SELECTORS.MISTAKES_BUTTON
+                },
+                {
+                    name: 'explanationReview',
+                    selector: SinglePlayerEndDialog.SELECTORS.EXPLANATION_REVIEW
+                },
+                {
+                    name: 'explanationReviewList',
+                    selector: SinglePlayerEndDialog.SELECTORS.EXPLANATION_REVIEW_LIST
+                },
+                {
+                    name: 'answerReview',
+                    selector: SinglePlayerEndDialog.SELECTORS.ANSWER_REVIEW
+                },
+                {
+                    name: 'answerReviewList',
+                    selector: SinglePlayerEndDialog.SELECTORS.ANSWER_REVIEW_LIST
                 }
             ]
         };
@@ -146,7 +194,8 @@ class SinglePlayerEndDialog extends BaseDialog {
                 score: this.currentGameResults.score,
                 gameName: this.gameName, 
                 mode: this.currentMode,
-                difficulty: this.currentDifficulty 
+                difficulty: this.currentDifficulty,
+                direction: this.currentDirection
             });
              this.hide(); 
         } else {
@@ -171,6 +220,22 @@ class SinglePlayerEndDialog extends BaseDialog {
         this.hide();
     }
 
+    /**
+     * Handles the "practice my mistakes" button click.
+     * Emits event with the questions answered wrong or too late and hides dialog.
+     * 
+     * @return void
+     * @event Events.UI.EndDialog.PracticeMistakesClicked
+     * @private
+     */
+    _handlePracticeMistakes() {
+        eventBus.emit(Events.UI.EndDialog.PracticeMistakesClicked, {
+            questions: this.currentGameResults.mistakes,
+            settings: this.currentGameResults.settings
+        });
+        this.hide();
+    }
+
     /**
      * Handles the back to menu button click.
      * Emits event and hides dialog.
@@ -207,6 +272,11 @@ class SinglePlayerEndDialog extends BaseDialog {
      * @param {string} results.difficulty Game difficulty
      * @param {string} results.mode Game mode ('single')
      * @param {boolean} results.eligibleForHighscore Whether the score qualifies
+     * @param {string} [results.seed] Seed of the game, to play the same questions again
+     * @param {Array<{question: string, answer: string, explanation: string}>} [results.missedExplanations] Wrong answers with an explanation
+     * @param {Array<object>} results.mistakes Questions answered wrong or too late, for "practice my mistakes"
+     * @param {Array<object>} [results.answerLog] Every answer of the game, for the review table
+     * @param {{level: number, levelCount: number, durationMs: number}|null} [results.pace] Final pace level of an adaptive game
      * @return void
      */
     show(results) {
@@ -214,6 +284,7 @@ class SinglePlayerEndDialog extends BaseDialog {
         // Expect top-level properties provided by GameCoordinator
         this.gameName = results.gameName || 'Unknown Game'; 
         this.currentDifficulty = results.difficulty || 'Unknown';
+        this.currentDirection = results.direction || 'forward';
         this.currentMode = results.mode || 'single';
 
         // Use elements object
@@ -222,6 +293,17 @@ class SinglePlayerEndDialog extends BaseDialog {
              // Add check for results itself before accessing score
              this.elements.scoreDisplay.textContent = (results.score !== undefined) ? results.score : '?'; 
         }
+        if (this.elements.seedDisplay) {
+            this.elements.seedDisplay.textContent = results.seed || '?';
+        }
+        if (this.elements.paceDisplay) {
+            this.elements.paceDisplay.textContent = results.pace ? getTextTemplate('spEndPace', {
+                '%LEVEL%': results.pace.level,
+                '%COUNT%': results.pace.levelCount,
+                '%SECONDS%': Timer.formatTime(results.pace.durationMs)
+            }) : '';
+            this.elements.paceDisplay.classList.toggle('hidden', !results.pace);
+        }
 
         // Show/hide save score section using the elements object
         // Add check for results itself before accessing eligibleForHighscore
@@ -236,9 +318,56 @@ class SinglePlayerEndDialog extends BaseDialog {
         } else {
             if (this.elements.nameInputContainer) this.elements.nameInputContainer.classList.add('hidden');
         }
+
+        this._renderExplanationReview(results.missedExplanations || []);
+        this._renderAnswerReview(results.answerLog || []);
+        this.elements.mistakesButton.classList.toggle('hidden', results.mistakes.length === 0);
         
         super.show(results);
     }
+
+    /**
+     * Lists the questions that were answered wrong with their answer and explanation.
+     * The review is hidden when there are none.
+     * 
+     * @param {Array<{question: string, answer: string, explanation: string}>} missedExplanations
+     * @return void
+     * @private
+     */
+    _renderExplanationReview(missedExplanations) {
+        const { explanationReview, explanationReviewList } = this.elements;
+        if (!explanationReview || !explanationReviewList) return;
+
+        explanationReviewList.replaceChildren(...missedExplanations.map(({ question, answer, explanation }) => {
+            const item = document.createElement('li');
+            const toNode = value => (isImageReference(value) ? createImageElement(value) : document.createTextNode(value));
+            item.append(toNode(question), document.createTextNode(' ➡️ '), toNode(answer));
+            const explanationText = document.createElement('span');
+            explanationText.classList.add('review-explanation');
+            explanationText.textContent = explanation;
+            item.appendChild(explanationText);
+            return item;
+        }));
+        explanationReview.open = false;
+        explanationReview.classList.toggle('hidden', missedExplanations.length === 0);
+    }
+
+    /**
+     * Fills the review table with every answer of the game, collapsed.
+     * The table is hidden when no question was answered.
+     * 
+     * @param {Array<object>} answerLog
+     * @return void
+     * @private
+     */
+    _renderAnswerReview(answerLog) {
+        const { answerReview, answerReviewList } = this.elements;
+        if (!answerReview || !answerReviewList) return;
+
+        answerReviewList.replaceChildren(...createAnswerReviewRows(answerLog));
+        answerReview.open = false;
+        answerReview.classList.toggle('hidden', answerLog.length === 0);
+    }
 }
 
 export default SinglePlayerEndDialog; 
\ No newline at end of file
@@ -1,5 +1,6 @@
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
+import { getTextTemplate } from '../utils/miscUtils.js';
 
 // Difficulty to Timer Duration mapping (in milliseconds)
 
@@ -62,6 +63,13 @@ class BaseGameMode {
         this.currentQuestionIndex = -1; // Initialize index tracking
         this.score = 0; // +++ Initialize score +++
         this._nextQuestionTimeoutId = null; // ID for the delayed nextQuestion call
+        this._boundHandleNextClicked = null; // Listener while waiting for the player to read an explanation
+        this.missedExplanations = []; // { question, answer, explanation } of wrong answers, for the end-of-game review
+        this.currentAnswers = []; // Options shown for the current question
+        this.answerLog = []; // One entry per answer, see _recordAnswer
+        this._questionPresentedAt = null; // Date.now() when the current question was shown, for the time taken
+        this._sessionTimeoutId = null; // ID of the timeout ending the session when settings.timeLimitMinutes is set
+        this.isSessionTimeUp = false; // True once the time limit has passed; the question on screen is the last one
 
         this._registerBaseListeners();
     }
@@ -87,7 +95,7 @@ class BaseGameMode {
     async start() {
         console.log(`[BaseGameMode:${this.mode}] Starting game...`);
         try {
-            await this.quizEngine.loadQuestionsFromManager(this.settings.sheetIds, this.settings.difficulty);
+            await this._loadQuestions(); // Hook for subclasses (e.g., pick the questions of a session)
             
             if (this.quizEngine.getQuestionCount() === 0) {
                 throw new Error("Quiz engine has no questions loaded.");
@@ -106,6 +114,7 @@ class BaseGameMode {
                 role: 'player', // Assuming base mode is always for a direct player
                 timer: this.timer // Include the timer instance
             });
+            this._startSessionTimer();
             // Load the first question
             this.nextQuestion();
         } catch (error) {
@@ -119,6 +128,29 @@ class BaseGameMode {
         }
     }
 
+    /**
+     * Hook that gives the options for QuizEngine.loadQuestionsFromManager, taken from the settings.
+     * @returns {{direction: string, tags: string[], questionCount: number, seed: string}}
+     * @protected
+     */
+    _getQuestionLoadOptions() {
+        return {
+            direction: this.settings.direction,
+            tags: this.settings.tags,
+            questionCount: this.settings.questionCount,
+            seed: this.settings.seed
+        };
+    }
+
+    /**
+     * Hook that loads the questions of the game into the quiz engine, from the selected sheets by default.
+     * @returns {Promise<void>}
+     * @protected
+     */
+    async _loadQuestions() {
+        await this.quizEngine.loadQuestionsFromManager(this.settings.sheetIds, this.settings.difficulty, this._getQuestionLoadOptions());
+    }
+
     /**
      * Advances to the next question or finishes the game if complete.
      * Emits Events.Game.QuestionNew or calls finishGame().
@@ -134,8 +166,8 @@ class BaseGameMode {
         // --- Rely ONLY on methods defined in QuizEngine ---
         const totalQuestions = this.quizEngine.getQuestionCount(); // Assumes this.quizEngine is a valid instance
 
-        if (nextIndex >= totalQuestions) {
-            console.log(`[${this.mode}] Reached end of questions (Index: ${nextIndex}, Total: ${totalQuestions}). Finishing game.`);
+        if (nextIndex >= totalQuestions || this.isSessionTimeUp) {
+            console.log(`[${this.mode}] Reached end of questions or time limit (Index: ${nextIndex}, Total: ${totalQuestions}). Finishing game.`);
             this.finishGame();
         } else {
             try {
@@ -153,6 +185,8 @@ class BaseGameMode {
 
                 // --- Rely ONLY on getShuffledAnswers ---
                 const answers = this.quizEngine.getShuffledAnswers(this.currentQuestionIndex);
+                this.currentAnswers = answers;
+                this._questionPresentedAt = Date.now();
                 // --- REMOVED FALLBACK LOGIC ---
 
                 eventBus.emit(Events.Game.QuestionNew, {
@@ -160,7 +194,8 @@ class BaseGameMode {
                     totalQuestions: totalQuestions,
                     questionData: {
                         question: questionData.question,
-                        answers: answers // Use result directly
+                        answers: answers, // Use result directly
+                        answerMode: this.settings.answerMode || 'choice'
                     }
                 });
                 this._afterQuestionPresented(); // Hook for subclasses (e.g., start timer)
@@ -193,17 +228,22 @@ class BaseGameMode {
         this._beforeAnswerCheck();
 
         // Use the INSTANCE
-        const checkResult = this.quizEngine.checkAnswer(currentIndex, answer.answer);
+        const checkResult = this.quizEngine.checkAnswer(currentIndex, answer.answer, this.settings.answerMode);
         this.lastAnswerCorrect = checkResult.isCorrect;
         const scoreDelta = this._calculateScore(checkResult.isCorrect);
+        const explanation = this._getExplanationToShow(checkResult.isCorrect);
 
         eventBus.emit(Events.Game.AnswerChecked, {
             isCorrect: checkResult.isCorrect,
+            isAlmostCorrect: checkResult.isAlmostCorrect,
             scoreDelta: scoreDelta,
             correctAnswer: checkResult.correctAnswer,
-            submittedAnswer: answer
+            submittedAnswer: answer.answer,
+            explanation: explanation,
+            ...this._getAnswerContext()
         });
 
+        this._recordAnswer(answer.answer, checkResult.isCorrect, scoreDelta);
         this._afterAnswerChecked(checkResult.isCorrect, scoreDelta);
 
         // Clear any pending timeout from a rapid previous answer (unlikely but safe)
@@ -212,6 +252,12 @@ class BaseGameMode {
             this._nextQuestionTimeoutId = null;
         }
 
+        // An explanation stays until the player has read it and clicks next
+        if (explanation) {
+            this._waitForNextClick();
+            return;
+        }
+
         // Delay moving to the next question to allow feedback display
         // *** ALWAYS schedule this in the base class ***
         this._nextQuestionTimeoutId = setTimeout(() => {
@@ -225,6 +271,126 @@ class BaseGameMode {
         }, 1500); // Standard delay
     }
 
+    /**
+     * Adds the answer to the current question to the answer log, which the end dialogs
+     * show as a review table. The points are split into the base score and the time bonus.
+     * @param {string|null} submittedAnswer - The answer given, null when the time ran out.
+     * @param {boolean} isCorrect - Whether the answer was correct.
+     * @param {number} [scoreDelta=0] - The points from _calculateScore.
+     * @protected
+     */
+    _recordAnswer(submittedAnswer, isCorrect, scoreDelta = 0) {
+        if (!this.currentQuestion) return;
+        const basePoints = scoreDelta > 0 ? Math.min(scoreDelta, BASE_SCORE) : 0;
+        this.answerLog.push({
+            questionIndex: this.currentQuestionIndex,
+            question: this.currentQuestion,
+            options: this.currentAnswers,
+            submittedAnswer,
+            correctAnswer: this.currentQuestion.answer,
+            isCorrect,
+            timedOut: submittedAnswer === null,
+            elapsedMs: this._getResponseTimeMs(),
+            points: scoreDelta,
+            basePoints,
+            timeBonus: scoreDelta - basePoints
+        });
+    }
+
+    /**
+     * @returns {number} Milliseconds since the current question was shown, 0 before any question.
+     * @protected
+     */
+    _getResponseTimeMs() {
+        return this._questionPresentedAt ? Date.now() - this._questionPresentedAt : 0;
+    }
+
+    /**
+     * Describes who answered which question, for listeners of Events.Game.AnswerChecked
+     * such as the StatisticsManager.
+     * @returns {{playerName: string, question: string, sheetId: string, questionId: string|null, responseTimeMs: number}}
+     * @protected
+     */
+    _getAnswerContext() {
+        return {
+            playerName: this.playerName,
+            question: this.currentQuestion.question,
+            sheetId: this.currentQuestion.sheetId,
+            questionId: this.currentQuestion.id ?? null,
+            responseTimeMs: this._getResponseTimeMs()
+        };
+    }
+
+    /**
+     * Gets the questions whose last answer in the log was wrong or timed out, for a
+     * "practice my mistakes" round. Multiple choice questions keep the options they were asked with.
+     * @returns {Array<object>} Questions ready for QuizEngine.loadQuestions.
+     * @protected
+     */
+    _getMistakes() {
+        const lastAnswers = new Map();
+        this.answerLog.forEach(entry => {
+            lastAnswers.set(`${entry.question.sheetId}|${entry.question.question}|${entry.correctAnswer}`, entry);
+        });
+        return [...lastAnswers.values()]
+            .filter(entry => !entry.isCorrect)
+            .map(({ question, options }) => {
+                const distractors = (options || []).filter(option => option !== question.answer);
+                return distractors.length > 0 ? { ...question, distractors, distractorStrategy: 'author' } : question;
+            });
+    }
+
+    /**
+     * Moves to the next question when the player clicks the next button,
+     * instead of after the standard delay.
+     * @protected
+     */
+    _waitForNextClick() {
+        this._removeNextClickListener();
+        this._boundHandleNextClicked = () => {
+            this._removeNextClickListener();
+            if (this.quizEngine && !this.isFinished && this.lastAnswerCorrect !== null) {
+                this.nextQuestion();
+            }
+        };
+        eventBus.on(Events.UI.GameArea.NextClicked, this._boundHandleNextClicked);
+    }
+
+    /** Removes the listener registered by _waitForNextClick, if any. @private */
+    _removeNextClickListener() {
+        if (this._boundHandleNextClicked) {
+            eventBus.off(Events.UI.GameArea.NextClicked, this._boundHandleNextClicked);
+            this._boundHandleNextClicked = null;
+        }
+    }
+
+    /**
+     * Starts the time limit of the whole session, if the settings have one (`timeLimitMinutes`).
+     * When it passes, the question on screen can still be answered; after that the game ends
+     * as if there were no more questions.
+     * @protected
+     */
+    _startSessionTimer() {
+        this._stopSessionTimer();
+        const timeLimitMs = (Number(this.settings.timeLimitMinutes) || 0) * 60000;
+        if (timeLimitMs <= 0) return;
+        this._sessionTimeoutId = setTimeout(() => {
+            this._sessionTimeoutId = null;
+            if (this.isFinished) return;
+            console.log(`[BaseGameMode:${this.mode}] Time limit of ${this.settings.timeLimitMinutes} minutes reached.`);
+            this.isSessionTimeUp = true;
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('gameSessionTimeUp'), level: 'info' });
+        }, timeLimitMs);
+    }
+
+    /** Stops the session time limit started by _startSessionTimer, if any. @protected */
+    _stopSessionTimer() {
+        if (this._sessionTimeoutId) {
+            clearTimeout(this._sessionTimeoutId);
+            this._sessionTimeoutId = null;
+        }
+    }
+
     /**
      * Finishes the game, calculates results using the injected this.quizEngine instance,
      * emits Game.Finished, and cleans up listeners.
@@ -252,9 +418,13 @@ class BaseGameMode {
 
             const baseResults = {
                 playerName: this.playerName,
-                totalQuestions: this.quizEngine.getQuestionCount(),
+                // After the time limit, only the questions that were asked count
+                totalQuestions: this.isSessionTimeUp ? this.currentQuestionIndex + 1 : this.quizEngine.getQuestionCount(),
                 correctAnswers: this.quizEngine.getCorrectCount(),
+                seed: this.quizEngine.getSeed(), // Entering it again gives the same game
                 settings: this.settings,
+                answerLog: this.answerLog,
+                mistakes: this._getMistakes(), // For "practice my mistakes" in the end dialog
                 score: score,
                 eligibleForHighscore: isEligible
             };
@@ -282,6 +452,8 @@ class BaseGameMode {
         } else {
              console.log(`[BaseGameMode:${this.mode}] No stored AnswerSubmitted listener reference to clean up.`);
         }
+        this._removeNextClickListener();
+        this._stopSessionTimer();
         // Subclasses should remove their specific listeners here or in their own cleanup
     }
 
@@ -382,6 +554,14 @@ class BaseGameMode {
         if (this.mode === 'practice') {
             return;
         }
+        // Explanations of mistakes are shown in the end-of-game review instead of during the game
+        if (!isCorrect && this.currentQuestion.explanation) {
+            this.missedExplanations.push({
+                question: this.currentQuestion.question,
+                answer: this.currentQuestion.answer,
+                explanation: this.currentQuestion.explanation
+            });
+        }
         this.score += scoreDelta;
         console.log(`[BaseGameMode:${this.mode}] Score updated. New score: ${this.score} (Delta: ${scoreDelta})`);
         // Emit score update event - useful for UI
@@ -392,6 +572,20 @@ class BaseGameMode {
         });
     }
 
+    /**
+     * Hook that picks the explanation to show right after an answer.
+     * Practice mode explains wrong answers; other modes keep them for the end-of-game review.
+     * @param {boolean} isCorrect - Whether the answer was correct.
+     * @returns {string|null} The explanation, or null to show none.
+     * @protected
+     */
+    _getExplanationToShow(isCorrect) {
+        if (this.mode !== 'practice' || isCorrect) {
+            return null;
+        }
+        return this.currentQuestion.explanation || null;
+    }
+
     /**
      * Calculates the final results object.
      * @param {object} [baseResults={}] - Optional base results object to merge into.
@@ -94,8 +94,10 @@ class MultiplayerClientGame extends BaseGameMode {
             isCorrect: false,
             scoreDelta: scoreDelta,
             correctAnswer: correctAnswer,
-            submittedAnswer: null 
+            submittedAnswer: null,
+            ...this._getAnswerContext()
         });
+        this._recordAnswer(null, false, scoreDelta);
         this._afterAnswerChecked(false, scoreDelta); 
         
         setTimeout(() => { if (!this.isFinished) { this.nextQuestion(); } }, 1500);
@@ -198,7 +200,8 @@ class MultiplayerClientGame extends BaseGameMode {
         // Use the received results payload directly
         const finalResults = {
             ...resultsPayload, // Contains rankings, mode, settings from host
-            localPlayerScore: this.score // Add local player's final score for convenience
+            localPlayerScore: this.score, // Add local player's final score for convenience
+            answerLog: this.answerLog // Local player's answers, for the review table
         };
         
         console.log("[MultiplayerClientGame] Final Results (from host):", finalResults);
@@ -239,6 +242,11 @@ class MultiplayerClientGame extends BaseGameMode {
          }
         console.log("[MultiplayerClientGame] Starting game...");
         this.isStarted = true;
+        // The host sends all questions; the client asks only the ones the host picked
+        if (this.settings.questionKeys) {
+            this.quizEngine.keepQuestions(this.settings.questionKeys);
+        }
+        this._startSessionTimer();
         // Client starts the timer and presents the first question locally.
         this.timer.start();
         this.nextQuestion(); // FIXED: Use the correct method name from BaseGameMode
@@ -201,7 +201,7 @@ class MultiplayerHostGame extends BaseGameMode {
                         this.clientAnswersThisRound.set(sender, true);
 
                         // Verify the answer
-                        const isCorrect = this.quizEngine.checkAnswer(questionIndex, answer);
+                        const { isCorrect } = this.quizEngine.checkAnswer(questionIndex, answer, this.settings.answerMode);
                         const scoreDelta = isCorrect ? POINTS_PER_CORRECT_ANSWER : 0;
                         const currentScore = this.clientScores.get(sender) || 0;
                         const newScore = currentScore + scoreDelta;
@@ -528,11 +528,22 @@ class MultiplayerHostGame extends BaseGameMode {
         // 1. Emit CountdownStart locally for host UI
         eventBus.emit(Events.Game.CountdownStart, { duration: countdownDurationSec });
 
-        // 2. Broadcast GAME_START with countdown duration payload
+        // 2. Broadcast GAME_START with countdown duration payload and the session length,
+        //    which the host can still change in the lobby after clients received the game info.
+        //    Clients got all questions, so the host picks them and sends their keys along.
+        this.quizEngine.limitQuestionCount(this.settings.questionCount);
+        const questionKeys = this.settings.questionCount > 0
+            ? this.quizEngine.questions.map(q => this.quizEngine.getQuestionKey(q))
+            : null;
         console.log(`[MultiplayerHostGame] Broadcasting GAME_START with duration ${countdownDurationSec}s.`);
         eventBus.emit(Events.Multiplayer.Common.SendMessage, {
             type: MSG_TYPE.GAME_START,
-            payload: { countdownDuration: countdownDurationSec }
+            payload: {
+                countdownDuration: countdownDurationSec,
+                questionCount: this.settings.questionCount || 0,
+                questionKeys,
+                timeLimitMinutes: this.settings.timeLimitMinutes || 0
+            }
         });
 
         // 3. Wait for countdown duration + buffer before starting host logic
@@ -704,6 +715,7 @@ class MultiplayerHostGame extends BaseGameMode {
              return;
          }
          console.log("[MultiplayerHostGame] Host logic started (post-countdown).");
+         // The questions were limited when the game sequence started, see startGameSequence
          
          // Add timer instance to payload
          eventBus.emit(Events.Game.Started, {
@@ -712,6 +724,7 @@ class MultiplayerHostGame extends BaseGameMode {
              timer: this.timer // Include the timer instance
          });
          console.log("[MultiplayerHostGame] Game Started event emitted (post-countdown).");
+         this._startSessionTimer();
 
          // Start timer for host
          if (this.timer) {
@@ -761,8 +774,10 @@ class MultiplayerHostGame extends BaseGameMode {
         this.lastAnswerCorrect = false; 
         eventBus.emit(Events.Game.AnswerChecked, {
             isCorrect: false, scoreDelta: scoreDelta,
-            correctAnswer: correctAnswer, submittedAnswer: null 
+            correctAnswer: correctAnswer, submittedAnswer: null,
+            ...this._getAnswerContext()
         });
+        this._recordAnswer(null, false, scoreDelta);
         this._afterAnswerChecked(false, scoreDelta); // Update host score
         
         // After host answer is checked, continue with the next question
@@ -855,8 +870,8 @@ class MultiplayerHostGame extends BaseGameMode {
         // Get total questions from the quiz engine
         const totalQuestions = this.quizEngine.getQuestionCount();
 
-        if (nextIndex >= totalQuestions) {
-            console.log(`[${this.mode}] Host reached end of questions (Index: ${nextIndex}, Total: ${totalQuestions}).`);
+        if (nextIndex >= totalQuestions || this.isSessionTimeUp) {
+            console.log(`[${this.mode}] Host reached end of questions or time limit (Index: ${nextIndex}, Total: ${totalQuestions}).`);
             
             // Instead of immediately ending the game, mark host as finished
             // and check if all clients are finished as well
@@ -896,13 +911,16 @@ class MultiplayerHostGame extends BaseGameMode {
                 console.log(`[${this.mode}] Presenting question ${this.currentQuestionIndex + 1}/${totalQuestions}`);
 
                 const answers = this.quizEngine.getShuffledAnswers(this.currentQuestionIndex);
+                this.currentAnswers = answers;
+                this._questionPresentedAt = Date.now();
 
                 eventBus.emit(Events.Game.QuestionNew, {
                     questionIndex: this.currentQuestionIndex,
                     totalQuestions: totalQuestions,
                     questionData: {
                         question: questionData.question,
-                        answers: answers
+                        answers: answers,
+                        answerMode: this.settings.answerMode || 'choice'
                     }
                 });
                 this._afterQuestionPresented();
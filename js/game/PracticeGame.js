@@ -1,97 +1,121 @@
-import eventBus from '../core/event-bus.js';
-import Events from '../core/event-constants.js';
-import Views from '../core/view-constants.js';
 import QuizEngine from '../services/QuizEngine.js';
-import BaseGameMode from './BaseGameMode.js';
+import SinglePlayerGame from './SinglePlayerGame.js';
+import leitnerManager from '../services/LeitnerManager.js';
+
+const USER_NAME_STORAGE_KEY = 'unicornPoepUserName';
 
 /**
  * Class PracticeGame.
- * 
- * Manages the state and logic for a practice game session. Extends BaseGameMode, 
- * providing the specific behavior for practice mode where players can practice
- * questions without time pressure or scoring.
- * 
- * Practice mode focuses exclusively on learning, allowing users to see correct answers
- * without the pressure of points or time limits. The game emits navigation events
- * to display appropriate UI dialogs when finished.
- * 
+ *
+ * Manages a practice game session: no points, no timer, and explanations right after
+ * a wrong answer (see the 'practice' branches of SinglePlayerGame and BaseGameMode).
+ *
+ * With the 'leitner' practice style ("slim leren") every answer is remembered per player
+ * in a Leitner box (see LeitnerManager). The session then asks the questions that are due,
+ * plus a few new ones, instead of all selected questions; a right answer moves a question
+ * one box up and a wrong answer moves it back to box 1.
+ *
+ * With `retryQuestions` in the settings it is a "practice my mistakes" round: only those
+ * questions are asked, and a question answered wrong comes back at the end until every
+ * one of them has been answered right.
+ *
+ * The end dialog is shown by the SinglePlayerGameCoordinator when the game finishes.
+ *
  * @property {string} mode Always 'practice'
  * @property {Object} settings Game configuration settings
  * @property {QuizEngine} quizEngine Instance handling questions and answers
  * @property {string} playerName Name of the player
+ * @property {{movedUp: number, movedDown: number}} leitnerMoves Questions that went a box up or back to box 1 this session
  */
-class PracticeGame extends BaseGameMode {
+class PracticeGame extends SinglePlayerGame {
     /**
      * Creates a practice game instance.
-     * 
+     *
      * @param {object} settings - Game settings.
+     * @param {'all'|'leitner'} [settings.practiceStyle='all'] - Ask all selected questions, or learn with Leitner boxes.
+     * @param {Array<object>} [settings.retryQuestions] - Questions answered wrong in an earlier game, to practice until right.
      * @param {QuizEngine} quizEngineInstance - The QuizEngine instance to use.
      * @param {string} playerName - The name of the player
      */
     constructor(settings, quizEngineInstance, playerName) {
-        // Pass the QuizEngine instance AND correct mode to BaseGameMode constructor
-        super('practice', settings, quizEngineInstance, playerName);
-        console.log(`[PracticeGame] Initialized.`);
+        super(settings, quizEngineInstance, playerName, 'practice');
+        this.isLeitner = settings.practiceStyle === 'leitner';
+        this.retryQuestions = Array.isArray(settings.retryQuestions) ? settings.retryQuestions : null;
+        // Sheet selection has no player name for local games, the boxes belong to the name on this device
+        this.leitnerPlayer = playerName || localStorage.getItem(USER_NAME_STORAGE_KEY) || '';
+        this.leitnerMoves = { movedUp: 0, movedDown: 0 };
+        console.log(`[PracticeGame] Initialized (style: ${this.isLeitner ? 'leitner' : 'all'}).`);
     }
 
     /**
-     * Override the timer hooks. We don't need them for practice mode.
-     */
-    _beforeNextQuestion() { }
-    
-    /**
-     * Override the timer hooks. We don't need them for practice mode.
-     */
-    _afterQuestionPresented() { }
-    
-    /**
-     * Override the timer hooks. We don't need them for practice mode.
+     * With Leitner boxes all matching questions are loaded: the session picks from them,
+     * the question count is the size of the session.
+     *
+     * @override
+     * @returns {object}
+     * @protected
      */
-    _beforeAnswerCheck() { }
-    
+    _getQuestionLoadOptions() {
+        const options = super._getQuestionLoadOptions();
+        return this.isLeitner ? { ...options, questionCount: 0 } : options;
+    }
+
     /**
-     * Override the timer hooks. We don't need them for practice mode.
+     * Loads the mistakes to retry, or narrows the loaded questions down to the Leitner session:
+     * due questions first, then new ones.
+     *
+     * @override
+     * @returns {Promise<void>}
+     * @protected
      */
-    _beforeFinish() { }
+    async _loadQuestions() {
+        if (this.retryQuestions) {
+            this.quizEngine.loadQuestions(this.retryQuestions);
+            return;
+        }
+        await super._loadQuestions();
+        if (this.isLeitner) {
+            this.quizEngine.selectQuestions(questions =>
+                leitnerManager.buildSession(this.leitnerPlayer, questions, this.settings.questionCount));
+        }
+    }
 
     /**
-     * Practice mode does not award points.
-     * This overrides the base implementation in BaseGameMode.
-     * 
+     * Asks a wrong answer again in a mistakes round, and moves the answered question to its next Leitner box.
+     *
      * @override
      * @param {boolean} isCorrect - Whether the answer was correct.
-     * @returns {number} Always returns 0.
+     * @param {number} scoreDelta - Always 0 in practice.
      * @protected
      */
-    _calculateScore(isCorrect) {
-        return 0; // No score in practice mode
+    _afterAnswerChecked(isCorrect, scoreDelta) {
+        super._afterAnswerChecked(isCorrect, scoreDelta);
+        if (this.retryQuestions && !isCorrect) {
+            this.quizEngine.repeatQuestion(this.currentQuestionIndex);
+        }
+        if (!this.isLeitner || !this.currentQuestion) return;
+
+        const { from, to } = leitnerManager.recordAnswer(this.leitnerPlayer, this.currentQuestion, isCorrect);
+        if (to > (from ?? 1)) {
+            this.leitnerMoves.movedUp++;
+        } else if (to < (from ?? 1)) {
+            this.leitnerMoves.movedDown++;
+        }
     }
 
     /**
-     * Finishes the practice game and triggers the appropriate end dialog.
-     * Emits navigation event to show the practice end dialog before
-     * calling the base class finishGame method for cleanup.
-     * 
+     * Adds the Leitner box moves to the results, for the end dialog.
+     *
      * @override
-     * @event Events.Navigation.ShowView
+     * @param {object} baseResults - Results from BaseGameMode.
+     * @returns {object}
+     * @protected
      */
-    finishGame() {
-        if (this.isFinished) return;
-        console.log(`[PracticeGame] Finishing game...`);
-        
-        // Get base results (even if score is 0)
-        const results = this._getFinalResults({}); 
-        
-        // Emit the navigation event specific to Practice mode end FIRST
-        console.log(`[PracticeGame] Requesting UIManager show Practice End Dialog.`);
-        eventBus.emit(Events.Navigation.ShowView, {
-            viewName: Views.PracticeEndDialog,
-            data: results // Pass results (might be empty, but consistent)
-        });
-        
-        // Call the base class finishGame AFTER showing dialog
-        // to handle basic cleanup and emit Game.Finished
-        super.finishGame(); 
+    _getFinalResults(baseResults) {
+        return {
+            ...super._getFinalResults(baseResults),
+            leitnerMoves: this.isLeitner ? { ...this.leitnerMoves } : null
+        };
     }
 }
 
@@ -7,10 +7,30 @@ import QuizEngine from '../services/QuizEngine.js';
 import Timer from '../core/timer.js';
 import highscoreManager from '../services/HighscoreManager.js';
 
+/**
+ * Time per question at each pace level of the 'adaptive' difficulty, from the generous start
+ * to the tightest pace.
+ */
+const PACE_DURATIONS_MS = [60000, 45000, 30000, 20000, 15000, 10000, 7000, 5000];
+/** Answers at the current pace level that are judged before the pace changes. */
+const PACE_WINDOW = 3;
+/** The pace tightens when at least this share of the recent answers is right... */
+const PACE_TIGHTEN_HIT_RATE = 0.75;
+/** ...and on average at most this share of the time was used. */
+const PACE_TIGHTEN_TIME_SHARE = 0.5;
+/** The pace relaxes when less than this share of the recent answers is right... */
+const PACE_RELAX_HIT_RATE = 0.5;
+/** ...or when on average more than this share of the time was used. */
+const PACE_RELAX_TIME_SHARE = 0.75;
 
 /**
  * Manages the state and logic for a single-player game session.
  * Extends BaseGameMode, adding timer and scoring functionality.
+ *
+ * With the 'adaptive' difficulty the time per question starts generous and follows the
+ * player's pace: after every answer the last few answers at the current pace level are
+ * judged, and when they were nearly all right and quick the timer tightens one level;
+ * when too many were wrong or only just in time it relaxes one level.
  */
 class SinglePlayerGame extends BaseGameMode {
     /**
@@ -30,7 +50,12 @@ class SinglePlayerGame extends BaseGameMode {
 
         // Determine timer duration based on difficulty
         this.difficulty = settings.difficulty || 'medium';
-        const durationMs = BaseGameMode.DIFFICULTY_DURATIONS_MS[this.difficulty] || BaseGameMode.DIFFICULTY_DURATIONS_MS.medium;
+        this.isAdaptive = mode === 'single' && this.difficulty === 'adaptive';
+        this.paceLevel = 0;
+        this.paceAnswers = []; // Answers at the current pace level, see _adjustPace
+        const durationMs = this.isAdaptive
+            ? PACE_DURATIONS_MS[this.paceLevel]
+            : BaseGameMode.DIFFICULTY_DURATIONS_MS[this.difficulty] || BaseGameMode.DIFFICULTY_DURATIONS_MS.medium;
         
         
         this.timer = new Timer(durationMs / 1000); 
@@ -80,9 +105,11 @@ class SinglePlayerGame extends BaseGameMode {
             isCorrect: false,
             scoreDelta: scoreDelta,
             correctAnswer: correctAnswer,
-            submittedAnswer: null // Indicate time out
+            submittedAnswer: null, // Indicate time out
+            ...this._getAnswerContext()
         });
 
+        this._recordAnswer(null, false, scoreDelta);
         this._afterAnswerChecked(false, scoreDelta); // Update score (if needed, though delta is 0)
 
         // Automatically move to the next question after a short delay
@@ -128,8 +155,50 @@ class SinglePlayerGame extends BaseGameMode {
         }
     }
 
+    /**
+     * Updates the score, and the pace of an adaptive game.
+     * @override
+     * @param {boolean} isCorrect - Whether the answer was correct.
+     * @param {number} scoreDelta - The score delta calculated by _calculateScore.
+     * @protected
+     */
+    _afterAnswerChecked(isCorrect, scoreDelta) {
+        super._afterAnswerChecked(isCorrect, scoreDelta);
+        if (this.isAdaptive) {
+            this._adjustPace(isCorrect);
+        }
+    }
+
     // --- End Overridden Hooks --- 
 
+    /**
+     * Judges the answers given at the current pace level and moves one level tighter or
+     * more relaxed when they call for it. The new time applies from the next question.
+     * @param {boolean} isCorrect - Whether the latest answer was correct (a time up counts as wrong).
+     * @private
+     */
+    _adjustPace(isCorrect) {
+        const timeShare = Math.min(1, this._getResponseTimeMs() / this.timer.durationMs);
+        this.paceAnswers = [...this.paceAnswers, { isCorrect, timeShare }].slice(-PACE_WINDOW);
+        if (this.paceAnswers.length < PACE_WINDOW) return;
+
+        const hitRate = this.paceAnswers.filter(answer => answer.isCorrect).length / this.paceAnswers.length;
+        const averageTimeShare = this.paceAnswers.reduce((sum, answer) => sum + answer.timeShare, 0) / this.paceAnswers.length;
+        let newLevel = this.paceLevel;
+        if (hitRate >= PACE_TIGHTEN_HIT_RATE && averageTimeShare <= PACE_TIGHTEN_TIME_SHARE) {
+            newLevel = Math.min(this.paceLevel + 1, PACE_DURATIONS_MS.length - 1);
+        } else if (hitRate < PACE_RELAX_HIT_RATE || averageTimeShare > PACE_RELAX_TIME_SHARE) {
+            newLevel = Math.max(this.paceLevel - 1, 0);
+        }
+        if (newLevel === this.paceLevel) return;
+
+        console.log(`[SinglePlayerGame] Pace level ${this.paceLevel + 1} -> ${newLevel + 1} (hit rate ${hitRate.toFixed(2)}, time used ${averageTimeShare.toFixed(2)})`);
+        this.paceLevel = newLevel;
+        // The new level is judged by the answers given at it
+        this.paceAnswers = [];
+        this.timer.setDuration(PACE_DURATIONS_MS[newLevel] / 1000);
+    }
+
     /**
      * Add the final score to the results object.
      * @override
@@ -152,7 +221,8 @@ class SinglePlayerGame extends BaseGameMode {
                      isEligible = this.highscoreManager.isNewHighScore(
                          gameName,
                          this.difficulty,
-                         scoreToCheck
+                         scoreToCheck,
+                         this.settings.direction
                      );
                 } else {
                     console.error("[SinglePlayerGame] HighscoreManager or isNewHighScore method missing!");
@@ -168,6 +238,11 @@ class SinglePlayerGame extends BaseGameMode {
             score: this.score, // Ensure final score is included
             gameName: gameName,
             difficulty: this.difficulty,
+            direction: this.settings.direction || 'forward',
+            missedExplanations: this.missedExplanations, // For the review in the end dialog
+            pace: this.isAdaptive
+                ? { level: this.paceLevel + 1, levelCount: PACE_DURATIONS_MS.length, durationMs: PACE_DURATIONS_MS[this.paceLevel] }
+                : null,
             eligibleForHighscore: isEligible, // Will be false if mode is 'practice'
             mode: this.mode // Explicitly set mode for clarity in results payload
         };
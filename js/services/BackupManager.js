@@ -0,0 +1,204 @@
+import questionsManager from './QuestionsManager.js';
+import highscoreManager from './HighscoreManager.js';
+import leitnerManager from './LeitnerManager.js';
+import statisticsManager from './StatisticsManager.js';
+
+const BACKUP_FORMAT = 'unicornpoep-backup';
+const BACKUP_VERSION = 1;
+const USER_NAME_STORAGE_KEY = 'unicornPoepUserName';
+
+/**
+ * Bundles all data the app keeps in localStorage (custom sheets, highscores, the Leitner
+ * boxes of every player and the player name) and the question statistics from IndexedDB
+ * into one versioned JSON backup, and restores such a backup.
+ * Restoring adds and replaces custom sheets by ID and merges highscores, Leitner boxes and
+ * statistics, so scores and practice made on this device after the backup are kept.
+ *
+ * Backup file layout:
+ * `{ format: 'unicornpoep-backup', version: 1, createdAt, customSheets: { id: sheet }, highscores: { storageKey: [entry] }, leitner: { storageKey: { itemKey: item } }, statistics: [record], userName }`
+ * Backups made before `leitner` and `statistics` were added are still read.
+ */
+class BackupManager {
+    /**
+     * Collects all app data into a backup object.
+     * @returns {Promise<object>} The backup, ready for JSON.stringify.
+     */
+    async createBackup() {
+        const backup = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date().toISOString(),
+            customSheets: await questionsManager.getCustomSheetsForBackup(),
+            highscores: highscoreManager.getAllScoreLists(),
+            leitner: leitnerManager.getAllBoxes(),
+            statistics: await this._getStatisticsForBackup(),
+            userName: localStorage.getItem(USER_NAME_STORAGE_KEY)
+        };
+        console.log(`[BackupManager] Backup created: ${Object.keys(backup.customSheets).length} sheets, ${Object.keys(backup.highscores).length} score lists, ${Object.keys(backup.leitner).length} players' Leitner boxes, ${backup.statistics.length} statistics records.`);
+        return backup;
+    }
+
+    /**
+     * Parses and validates the text of a backup file.
+     * @param {string} text - The file contents.
+     * @returns {{customSheets: Object.<string, object>, highscores: Object.<string, Array<object>>, leitner: Object.<string, object>, statistics: Array<object>, userName: string|null}} The validated backup data.
+     * @throws {Error} If the file is not a valid backup; the message says what is wrong.
+     */
+    parseBackup(text) {
+        const data = JSON.parse(text);
+        if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+            throw new Error(`Not a backup file: format must be '${BACKUP_FORMAT}'.`);
+        }
+        if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+            throw new Error(`Unsupported backup version ${data.version}, this app reads up to version ${BACKUP_VERSION}.`);
+        }
+
+        const customSheets = this._asObject(data.customSheets, 'customSheets');
+        Object.entries(customSheets).forEach(([sheetId, sheet]) => {
+            const validQuestions = Array.isArray(sheet?.questions) && sheet.questions.every(q =>
+                typeof q?.question === 'string' && typeof q?.answer === 'string');
+            if (typeof sheet.name !== 'string' || !validQuestions) {
+                throw new Error(`Invalid custom sheet '${sheetId}' in backup.`);
+            }
+        });
+
+        const highscores = this._asObject(data.highscores, 'highscores');
+        Object.entries(highscores).forEach(([storageKey, scores]) => {
+            if (!highscoreManager.isHighscoreStorageKey(storageKey) || !highscoreManager.isValidScoreList(scores)) {
+                throw new Error(`Invalid score list '${storageKey}' in backup.`);
+            }
+        });
+
+        const leitner = this._asObject(data.leitner, 'leitner');
+        Object.entries(leitner).forEach(([storageKey, boxes]) => {
+            if (!leitnerManager.isLeitnerStorageKey(storageKey) || !leitnerManager.isValidBoxes(boxes)) {
+                throw new Error(`Invalid Leitner boxes '${storageKey}' in backup.`);
+            }
+        });
+
+        const statistics = data.statistics ?? [];
+        if (!Array.isArray(statistics) || !statistics.every(record => statisticsManager.isValidRecord(record))) {
+            throw new Error('Invalid statistics in backup: expected a list of statistics records.');
+        }
+
+        if (data.userName != null && typeof data.userName !== 'string') {
+            throw new Error('Invalid userName in backup.');
+        }
+
+        return { customSheets, highscores, leitner, statistics, userName: data.userName || null };
+    }
+
+    /**
+     * Lists what restoring a backup would change, for a confirmation before restoring.
+     * Sheets identical to the local copy are neither added nor overwritten.
+     * @param {object} backup - A backup from parseBackup.
+     * @returns {Promise<{addedSheets: string[], overwrittenSheets: string[], newScores: number, changedScoreLists: number, changedLeitnerItems: number, changedStatistics: number, userName: string|null}>}
+     *          Sheet names, the number of new score entries and the lists they go to, the number of
+     *          Leitner items and statistics records that change, and the player name if it changes.
+     */
+    async describeRestore(backup) {
+        const localSheets = await questionsManager.getCustomSheetsForBackup();
+        const addedSheets = [];
+        const overwrittenSheets = [];
+        Object.entries(backup.customSheets).forEach(([sheetId, sheet]) => {
+            if (!localSheets[sheetId]) {
+                addedSheets.push(sheet.name);
+            } else if (!this._isSameSheet(localSheets[sheetId], sheet)) {
+                overwrittenSheets.push(sheet.name);
+            }
+        });
+
+        let newScores = 0;
+        let changedScoreLists = 0;
+        Object.entries(backup.highscores).forEach(([storageKey, scores]) => {
+            const count = highscoreManager.countNewScores(storageKey, scores);
+            newScores += count;
+            if (count > 0) changedScoreLists++;
+        });
+
+        const changedLeitnerItems = Object.entries(backup.leitner)
+            .reduce((sum, [storageKey, boxes]) => sum + leitnerManager.countChangedItems(storageKey, boxes), 0);
+        const changedStatistics = backup.statistics.length > 0 ? await statisticsManager.countChangedRecords(backup.statistics) : 0;
+
+        const currentUserName = localStorage.getItem(USER_NAME_STORAGE_KEY);
+        const userName = backup.userName && backup.userName !== currentUserName ? backup.userName : null;
+
+        return { addedSheets, overwrittenSheets, newScores, changedScoreLists, changedLeitnerItems, changedStatistics, userName };
+    }
+
+    /**
+     * Restores a backup: stores its custom sheets (replacing sheets with the same ID),
+     * merges its highscores, Leitner boxes and statistics and sets the player name.
+     * @param {object} backup - A backup from parseBackup.
+     * @returns {Promise<void>}
+     */
+    async restoreBackup(backup) {
+        const localSheets = await questionsManager.getCustomSheetsForBackup();
+        const changedSheets = Object.fromEntries(Object.entries(backup.customSheets)
+            .filter(([sheetId, sheet]) => !localSheets[sheetId] || !this._isSameSheet(localSheets[sheetId], sheet)));
+        await questionsManager.restoreCustomSheets(changedSheets);
+
+        Object.entries(backup.highscores).forEach(([storageKey, scores]) => {
+            highscoreManager.mergeScoreList(storageKey, scores);
+        });
+
+        Object.entries(backup.leitner).forEach(([storageKey, boxes]) => {
+            leitnerManager.mergeBoxes(storageKey, boxes);
+        });
+
+        if (backup.statistics.length > 0) {
+            await statisticsManager.mergeRecords(backup.statistics);
+        }
+
+        if (backup.userName) {
+            localStorage.setItem(USER_NAME_STORAGE_KEY, backup.userName);
+        }
+        console.log("[BackupManager] Backup restored.");
+    }
+
+    /**
+     * Reads the statistics for a backup. Without IndexedDB there are none, and the backup
+     * still holds everything else.
+     * @returns {Promise<Array<object>>}
+     * @private
+     */
+    async _getStatisticsForBackup() {
+        try {
+            return await statisticsManager.getAllRecords();
+        } catch (error) {
+            console.warn("[BackupManager] Backing up without statistics:", error);
+            return [];
+        }
+    }
+
+    /**
+     * Returns a value if it is a plain object, an empty object if it is missing.
+     * @param {any} value
+     * @param {string} fieldName - For the error message.
+     * @returns {object}
+     * @throws {Error} If the value is present but not an object.
+     * @private
+     */
+    _asObject(value, fieldName) {
+        if (value == null) return {};
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            throw new Error(`Invalid ${fieldName} in backup: expected an object.`);
+        }
+        return value;
+    }
+
+    /**
+     * Compares the name and questions of two custom sheets.
+     * @param {object} a
+     * @param {object} b
+     * @returns {boolean}
+     * @private
+     */
+    _isSameSheet(a, b) {
+        return a.name === b.name && JSON.stringify(a.questions) === JSON.stringify(b.questions);
+    }
+}
+
+// Create and export a singleton instance
+const backupManager = new BackupManager();
+export default backupManager;
@@ -1,6 +1,7 @@
 import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import { getTextTemplate } from '../utils/miscUtils.js';
+import { DEFAULT_QUESTION_DIRECTION, normalizeDirection } from '../utils/directionUtils.js';
 
 
 // Add V1 constants
@@ -9,7 +10,7 @@ const MAX_ENTRIES_PER_SHEET = 20;
 
 /**
  * Manages loading, saving, and retrieving highscores from localStorage
- * using the v1 multi-key approach (one key per sheet/difficulty).
+ * using the v1 multi-key approach (one key per sheet/direction/difficulty).
  * This service is called by coordinators (e.g., UIManager, GameCoordinator)
  * in response to application events. It does not listen for events itself.
  */
@@ -29,21 +30,48 @@ class HighscoreManager {
     }
 
     /**
-     * Generates a unique key for storing scores based on sheet and difficulty.
+     * Generates a unique key for storing scores based on sheet, direction and difficulty.
      * Sanitizes and truncates the key for safety.
-     * Mirrors the v1 logic precisely.
+     * Mirrors the v1 logic precisely for the forward direction; other directions get
+     * their own lists via a '_reverse' or '_mixed' part before the difficulty.
+     * Adaptive games end in '_adaptive', so they have their own lists too.
      * @param {string} sheetKey - Combined sheet names (e.g., 'Tafel van 2,Tafel van 3').
-     * @param {string|null} difficulty - Difficulty level ('easy', 'medium', 'hard') or null for practice.
+     * @param {string|null} difficulty - Difficulty level ('easy', 'medium', 'hard', 'adaptive') or null for practice.
+     * @param {string} [direction='forward'] - Question direction ('forward', 'reverse', 'mixed').
      * @returns {string} The localStorage key.
      * @private
      */
-    _getStorageKey(sheetKey, difficulty) {
+    _getStorageKey(sheetKey, difficulty, direction = DEFAULT_QUESTION_DIRECTION) {
         const diffSuffix = difficulty ? `_${difficulty}` : '_practice';
+        const normalizedDirection = normalizeDirection(direction);
+        const directionSuffix = normalizedDirection === DEFAULT_QUESTION_DIRECTION ? '' : `_${normalizedDirection}`;
         // Sanitize: Replace non-alphanumeric (allow ,-_) with _, lowercase
         const safeSheetKey = (sheetKey || 'unknown').replace(/[^a-z0-9,\-_]/gi, '_').toLowerCase();
         // Truncate to prevent excessively long keys - match V1 exactly
         const truncatedKey = safeSheetKey.length > 50 ? safeSheetKey.substring(0, 50) : safeSheetKey;
-        return `${STORAGE_KEY_PREFIX}${truncatedKey}${diffSuffix}`;
+        return `${STORAGE_KEY_PREFIX}${truncatedKey}${directionSuffix}${diffSuffix}`;
+    }
+
+    /**
+     * Returns the label shown after a game name for a non-forward direction, e.g. ' (omgekeerd)'.
+     * @param {string} [direction] - Question direction.
+     * @returns {string} The label with a leading space, or '' for the forward direction.
+     * @private
+     */
+    _getDirectionLabel(direction) {
+        const normalizedDirection = normalizeDirection(direction);
+        if (normalizedDirection === DEFAULT_QUESTION_DIRECTION) return '';
+        return ` (${getTextTemplate(normalizedDirection === 'reverse' ? 'hsDirectionReverse' : 'hsDirectionMixed')})`;
+    }
+
+    /**
+     * Returns the label shown after a game name for an adaptive game, e.g. ' (eigen tempo)'.
+     * @param {string|null} difficulty - Difficulty level.
+     * @returns {string} The label with a leading space, or '' for the fixed levels.
+     * @private
+     */
+    _getDifficultyLabel(difficulty) {
+        return difficulty === 'adaptive' ? ` (${getTextTemplate('hsDifficultyAdaptive')})` : '';
     }
 
     /**
@@ -52,12 +80,13 @@ class HighscoreManager {
      * @param {string} sheetKey - The identifier for the sheets played.
      * @param {string|null} difficulty - The difficulty level.
      * @param {string} mode - The game mode ('single', 'multiplayer', 'practice').
+     * @param {string} [direction='forward'] - The question direction.
      * @returns {Array<object>} An array of score objects, empty if error or not found.
      * @private
      */
-    _getScoresForSheetSync(sheetKey, difficulty, mode) {
+    _getScoresForSheetSync(sheetKey, difficulty, mode, direction = DEFAULT_QUESTION_DIRECTION) {
         // --- FIX: Always use _getStorageKey ---
-        const storageKey = this._getStorageKey(sheetKey, difficulty); 
+        const storageKey = this._getStorageKey(sheetKey, difficulty, direction); 
         // console.log(`[HighscoreManager DEBUG] _getScoresForSheetSync using key: ${storageKey} for sheet=${sheetKey}, diff=${difficulty}, mode=${mode}`); // Debug log
 
         try {
@@ -97,10 +126,11 @@ class HighscoreManager {
      * @param {number} score - Score achieved.
      * @param {string} sheetKey - Identifier for the sheets played (e.g., 'Tafel van 2,Tafel van 3').
      * @param {string} mode - Game mode ('single', 'multiplayer', 'practice'). Note: V1 used 'Single Player'/'Multi'
-     * @param {string|null} difficulty - Difficulty level ('easy', 'medium', 'hard') or null for practice.
+     * @param {string|null} difficulty - Difficulty level ('easy', 'medium', 'hard', 'adaptive') or null for practice.
+     * @param {string} [direction='forward'] - Question direction; reverse and mixed games have their own lists.
      * @returns {boolean} True if the score qualified and was saved, false otherwise.
      */
-    addHighscore(playerName, score, sheetKey, mode, difficulty) {
+    addHighscore(playerName, score, sheetKey, mode, difficulty, direction = DEFAULT_QUESTION_DIRECTION) {
         // Prevent saving scores for practice mode or non-positive scores
         if (mode === 'practice' || !difficulty || score <= 0) {
             console.log("[HighscoreManager] Skipping score save (practice mode, no difficulty, or zero/negative score).");
@@ -114,7 +144,7 @@ class HighscoreManager {
         }
 
         // --- FIX: Always use _getStorageKey ---
-        const storageKey = this._getStorageKey(sheetKey, difficulty); 
+        const storageKey = this._getStorageKey(sheetKey, difficulty, direction); 
         // console.log(`[HighscoreManager DEBUG] addHighscore using key: ${storageKey} for sheet=${sheetKey}, diff=${difficulty}, mode=${mode}`); // Debug log
 
         const timestamp = new Date().toISOString();
@@ -134,7 +164,7 @@ class HighscoreManager {
         if (mode === 'multiplayer' && difficulty) {
             // Capitalize difficulty for display
             const difficultyDisplay = difficulty.charAt(0).toUpperCase() + difficulty.slice(1);
-            formattedGameName = `${normalizedSheetKey} (Multiplayer ${difficultyDisplay})`; // Use normalized key here too
+            formattedGameName = `${normalizedSheetKey}${this._getDirectionLabel(direction)} (Multiplayer ${difficultyDisplay})`; // Use normalized key here too
         } else if (mode === 'single') {
             // V1 examples just show the sheet name for single player
             // formattedGameName = sheetKey; // Already set
@@ -150,6 +180,9 @@ class HighscoreManager {
             mode: mode === 'single' ? 'Single Player' : (mode === 'multiplayer' ? 'Multi' : 'Practice'),
             difficulty: difficulty // Store the raw difficulty string
         };
+        if (normalizeDirection(direction) !== DEFAULT_QUESTION_DIRECTION) {
+            entry.direction = normalizeDirection(direction);
+        }
 
         // *** V1 Alignment: ONLY add gameName for multiplayer games ***
         if (mode === 'multiplayer') {
@@ -158,7 +191,7 @@ class HighscoreManager {
 
         try {
             // 1. Load scores for the specific sheet/difficulty
-            const currentScores = this._getScoresForSheetSync(sheetKey, difficulty, mode);
+            const currentScores = this._getScoresForSheetSync(sheetKey, difficulty, mode, direction);
 
             // 2. Check if it qualifies (top N or list not full)
             if (currentScores.length < MAX_ENTRIES_PER_SHEET || score > (currentScores[currentScores.length - 1].score || 0)) {
@@ -183,7 +216,7 @@ class HighscoreManager {
                 return true; // Score was added and saved
 
             } else {
-                 console.log(`[HighscoreManager] Score ${score} by ${playerName} for ${sheetKey} (${difficulty}) not high enough.`);
+                 console.log(`[HighscoreManager] Score ${score} by ${playerName} for ${sheetKey} (${difficulty}, ${direction}) not high enough.`);
                  return false; // Score did not qualify
             }
         } catch (error) {
@@ -214,6 +247,7 @@ class HighscoreManager {
                                 // Map to ensure consistent structure expected by the component
                                 const mappedScores = sheetScores.map(score => {
                                     // --- FIX: Consistently derive game info from the unified key format ---
+                                    const extractedDirection = this._extractDirectionFromStorageKey(key);
                                     const extractedSheetKey = this._extractSheetKeyFromStorageKey(key) || 'Unknown';
                                     const extractedDifficulty = this._extractDifficultyFromStorageKey(key) || '-';
                                     let displayMode = 'Unknown';
@@ -227,7 +261,7 @@ class HighscoreManager {
                                     
                                     // Construct gameName for display based on extracted info
                                     // (This mirrors previous logic but uses extracted parts)
-                                    let formattedGameName = extractedSheetKey.replace(/_/g, ' '); // Basic name
+                                    let formattedGameName = extractedSheetKey.replace(/_/g, ' ') + this._getDirectionLabel(extractedDirection) + this._getDifficultyLabel(extractedDifficulty); // Basic name
                                     if (displayMode === 'Multi' && extractedDifficulty !== '-') {
                                         const diffDisplay = extractedDifficulty.charAt(0).toUpperCase() + extractedDifficulty.slice(1);
                                         formattedGameName = `${formattedGameName} (Multiplayer ${diffDisplay})`;
@@ -242,6 +276,7 @@ class HighscoreManager {
                                         gameName: score.gameName || formattedGameName, 
                                         mode: score.mode || displayMode, // Use derived mode if not stored
                                         difficulty: score.difficulty || extractedDifficulty, // Use extracted difficulty if not stored
+                                        direction: score.direction || extractedDirection,
                                     };
                                 });
                                 allScores = allScores.concat(mappedScores);
@@ -275,16 +310,29 @@ class HighscoreManager {
     _extractSheetKeyFromStorageKey(storageKey) {
         if (!storageKey || !storageKey.startsWith(STORAGE_KEY_PREFIX)) return null;
         const base = storageKey.substring(STORAGE_KEY_PREFIX.length);
-        const difficultyParts = ['_easy', '_medium', '_hard', '_practice'];
+        const difficultyParts = ['_easy', '_medium', '_hard', '_adaptive', '_practice'];
         for (const suffix of difficultyParts) {
             if (base.endsWith(suffix)) {
-                return base.substring(0, base.length - suffix.length);
+                const sheetPart = base.substring(0, base.length - suffix.length);
+                const direction = this._extractDirectionFromStorageKey(storageKey);
+                return direction === DEFAULT_QUESTION_DIRECTION ? sheetPart : sheetPart.substring(0, sheetPart.length - direction.length - 1);
             }
         }
         // If no known difficulty suffix, return the whole base part (might be practice w/o suffix?)
         return base;
     }
 
+    /**
+     * Helper to extract the question direction from a storage key; keys without one are 'forward'.
+     * @param {string} storageKey - The full localStorage key.
+     * @returns {string} 'forward', 'reverse' or 'mixed'.
+     * @private
+     */
+    _extractDirectionFromStorageKey(storageKey) {
+        const match = (storageKey || '').match(/_(reverse|mixed)_(easy|medium|hard|adaptive|practice)$/);
+        return match ? match[1] : DEFAULT_QUESTION_DIRECTION;
+    }
+
     /**
      * Helper to try and extract the difficulty part from a storage key.
      * @param {string} storageKey - The full localStorage key.
@@ -296,6 +344,7 @@ class HighscoreManager {
         if (storageKey.endsWith('_easy')) return 'easy';
         if (storageKey.endsWith('_medium')) return 'medium';
         if (storageKey.endsWith('_hard')) return 'hard';
+        if (storageKey.endsWith('_adaptive')) return 'adaptive';
         if (storageKey.endsWith('_practice')) return 'practice'; // Or null/N/A depending on preference
         return null; // No difficulty suffix found
     }
@@ -306,16 +355,17 @@ class HighscoreManager {
      * @param {string} sheetKey - The identifier for the sheets played.
      * @param {string|null} difficulty - The difficulty level.
      * @param {number} score - The score to check.
+     * @param {string} [direction='forward'] - The question direction.
      * @returns {boolean} True if the score is a new highscore, false otherwise.
      */
-     isNewHighScore(sheetKey, difficulty, score) {
+     isNewHighScore(sheetKey, difficulty, score, direction = DEFAULT_QUESTION_DIRECTION) {
         // Practice mode doesn't have highscores handled here, and score must be positive
         if (!difficulty || difficulty === 'practice' || score <= 0) {
             return false;
         }
 
         try {
-            const currentScores = this._getScoresForSheetSync(sheetKey, difficulty);
+            const currentScores = this._getScoresForSheetSync(sheetKey, difficulty, undefined, direction);
 
             // If the list isn't full, any positive score qualifies
             if (currentScores.length < MAX_ENTRIES_PER_SHEET) {
@@ -333,6 +383,115 @@ class HighscoreManager {
         }
     }
 
+    /**
+     * Checks whether a localStorage key holds a highscore list.
+     * @param {string} storageKey - A localStorage key.
+     * @returns {boolean}
+     */
+    isHighscoreStorageKey(storageKey) {
+        return typeof storageKey === 'string' && storageKey.startsWith(STORAGE_KEY_PREFIX);
+    }
+
+    /**
+     * Checks that stored data is a valid score list (an array of {player, score} objects).
+     * @param {any} scores - Parsed data from a highscore key.
+     * @returns {boolean}
+     */
+    isValidScoreList(scores) {
+        return Array.isArray(scores) && scores.every(s => typeof s === 'object' && s !== null && 'player' in s && typeof s.score === 'number');
+    }
+
+    /**
+     * Returns all stored score lists exactly as stored, keyed by localStorage key.
+     * Used for backups; lists that can't be parsed are skipped.
+     * @returns {Object.<string, Array<object>>}
+     */
+    getAllScoreLists() {
+        const scoreLists = {};
+        Object.keys(localStorage).filter(key => this.isHighscoreStorageKey(key)).forEach(key => {
+            try {
+                const scores = JSON.parse(localStorage.getItem(key));
+                if (this.isValidScoreList(scores)) {
+                    scoreLists[key] = scores;
+                }
+            } catch (error) {
+                console.warn(`[HighscoreManager] Skipping unreadable score list ${key}:`, error);
+            }
+        });
+        return scoreLists;
+    }
+
+    /**
+     * Reads the score list stored under a key, without the V1 mapping of _getScoresForSheetSync.
+     * @param {string} storageKey - A highscore key.
+     * @returns {Array<object>} The stored entries, empty if missing or invalid.
+     * @private
+     */
+    _readScoreList(storageKey) {
+        try {
+            const scores = JSON.parse(localStorage.getItem(storageKey));
+            return this.isValidScoreList(scores) ? scores : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Finds the entries of `incoming` that are not in `current` yet.
+     * An entry counts as the same when player, score and date match.
+     * @param {Array<object>} current - Stored entries.
+     * @param {Array<object>} incoming - Entries to merge in.
+     * @returns {Array<object>} The new entries.
+     * @private
+     */
+    _findNewScores(current, incoming) {
+        const entryKey = s => `${s.player}|${s.score}|${s.date}`;
+        const known = new Set(current.map(entryKey));
+        return incoming.filter(s => {
+            const key = entryKey(s);
+            if (known.has(key)) return false;
+            known.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Counts how many entries of a score list would be new when merged, see mergeScoreList.
+     * @param {string} storageKey - A highscore key.
+     * @param {Array<object>} scores - Entries to merge in.
+     * @returns {number}
+     */
+    countNewScores(storageKey, scores) {
+        return this._findNewScores(this._readScoreList(storageKey), scores).length;
+    }
+
+    /**
+     * Merges score entries (e.g. from a backup) into the list stored under a key.
+     * Existing entries are kept, duplicates are skipped and the list is sorted
+     * and trimmed to the top entries again, like addHighscore does.
+     * @param {string} storageKey - A highscore key.
+     * @param {Array<object>} scores - Entries to merge in.
+     * @returns {number} The number of new entries.
+     */
+    mergeScoreList(storageKey, scores) {
+        if (!this.isHighscoreStorageKey(storageKey) || !this.isValidScoreList(scores)) {
+            console.warn(`[HighscoreManager] Refusing to merge invalid score list into ${storageKey}.`);
+            return 0;
+        }
+        const currentScores = this._readScoreList(storageKey);
+        const newScores = this._findNewScores(currentScores, scores);
+        if (newScores.length === 0) return 0;
+
+        const mergedScores = [...currentScores, ...newScores].sort((a, b) => {
+            if (b.score !== a.score) return b.score - a.score;
+            const dateA = new Date(a.date); const dateB = new Date(b.date);
+            return (!isNaN(dateA) && !isNaN(dateB)) ? dateA - dateB : 0;
+        });
+        localStorage.setItem(storageKey, JSON.stringify(mergedScores.slice(0, MAX_ENTRIES_PER_SHEET)));
+        console.log(`[HighscoreManager] Merged ${newScores.length} scores into ${storageKey}.`);
+        return newScores.length;
+    }
+
     /**
      * Loads all V1 highscores from localStorage, sorts them, and emits
      * the result via the event bus. Intended to be called by a coordinator
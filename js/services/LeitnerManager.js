@@ -0,0 +1,231 @@
+const STORAGE_KEY_PREFIX = 'unicornpoep_leitner_';
+const DEFAULT_PLAYER_KEY = 'default';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days until a question is asked again, per box. Box 1 is due right away (the next session),
+ * a question in the last box comes back after two weeks.
+ */
+const BOX_INTERVALS_DAYS = [0, 1, 3, 7, 14];
+export const LEITNER_BOX_COUNT = BOX_INTERVALS_DAYS.length;
+
+/** Questions never seen before that are added to a session. */
+const NEW_ITEMS_PER_SESSION = 5;
+/** Session size when the player didn't choose a number of questions. */
+const DEFAULT_SESSION_SIZE = 20;
+
+/**
+ * Keeps the Leitner boxes of the "slim leren" practice style in localStorage, one list per player.
+ * Every question a player has answered sits in a box: a right answer moves it one box up,
+ * so it comes back later; a wrong answer moves it back to box 1.
+ *
+ * Stored per player under 'unicornpoep_leitner_<player>':
+ * `{ "<item key>": { box: 1-5, due: timestamp, lastSeen: timestamp } }`
+ */
+class LeitnerManager {
+    /**
+     * Builds the key a question is remembered by: its sheet (category) and its ID or text.
+     * Reversed questions have other text, so they are separate items.
+     * @param {{sheetId?: string, id?: string, question: string}} question
+     * @returns {string}
+     */
+    getItemKey(question) {
+        return `${question.sheetId || ''}|${question.id ?? question.question}`;
+    }
+
+    /**
+     * Picks the questions of a session: the ones that are due, lowest box first, topped up
+     * with a few the player has never seen. When nothing is due and everything has been seen,
+     * the questions that are due soonest are practiced ahead.
+     * @param {string} playerName
+     * @param {Array<object>} questions - All questions that could be asked, with `sheetId`.
+     * @param {number} [sessionSize=0] - Maximum number of questions; 0 for the default size.
+     * @param {number} [now=Date.now()]
+     * @returns {Array<object>} The questions for the session, most urgent first.
+     */
+    buildSession(playerName, questions, sessionSize = 0, now = Date.now()) {
+        const boxes = this._load(playerName);
+        const size = sessionSize > 0 ? sessionSize : DEFAULT_SESSION_SIZE;
+        const seen = [];
+        const unseen = [];
+        questions.forEach(question => {
+            const item = boxes[this.getItemKey(question)];
+            if (item) {
+                seen.push({ question, item });
+            } else {
+                unseen.push(question);
+            }
+        });
+        seen.sort((a, b) => a.item.box - b.item.box || a.item.due - b.item.due);
+
+        const newItems = unseen.slice(0, Math.min(NEW_ITEMS_PER_SESSION, size));
+        const dueItems = seen.filter(({ item }) => item.due <= now).map(({ question }) => question);
+        const session = [...dueItems.slice(0, size - newItems.length), ...newItems];
+        if (session.length === 0) {
+            return [...seen].sort((a, b) => a.item.due - b.item.due).slice(0, size).map(({ question }) => question);
+        }
+        return session;
+    }
+
+    /**
+     * Moves a question to its next box after an answer.
+     * @param {string} playerName
+     * @param {object} question - The question that was answered, with `sheetId`.
+     * @param {boolean} isCorrect
+     * @param {number} [now=Date.now()]
+     * @returns {{from: number|null, to: number}} The old box (null for a new question) and the new box.
+     */
+    recordAnswer(playerName, question, isCorrect, now = Date.now()) {
+        const boxes = this._load(playerName);
+        const key = this.getItemKey(question);
+        const from = boxes[key]?.box ?? null;
+        // A new question counts as being in box 1, so knowing it right away moves it to box 2
+        const to = isCorrect ? Math.min((from ?? 1) + 1, LEITNER_BOX_COUNT) : 1;
+        boxes[key] = { box: to, due: now + BOX_INTERVALS_DAYS[to - 1] * DAY_MS, lastSeen: now };
+        this._save(playerName, boxes);
+        return { from, to };
+    }
+
+    /**
+     * Checks if a localStorage key holds Leitner boxes.
+     * @param {string} storageKey
+     * @returns {boolean}
+     */
+    isLeitnerStorageKey(storageKey) {
+        return typeof storageKey === 'string' && storageKey.startsWith(STORAGE_KEY_PREFIX);
+    }
+
+    /**
+     * Checks that stored data is a valid set of boxes (item key to { box, due, lastSeen }).
+     * @param {any} boxes - Parsed data from a Leitner key.
+     * @returns {boolean}
+     */
+    isValidBoxes(boxes) {
+        return !!boxes && typeof boxes === 'object' && !Array.isArray(boxes) && Object.values(boxes).every(item =>
+            typeof item === 'object' && item !== null && Number.isInteger(item.box) && item.box >= 1 && item.box <= LEITNER_BOX_COUNT
+            && typeof item.due === 'number' && typeof item.lastSeen === 'number');
+    }
+
+    /**
+     * Returns the boxes of all players exactly as stored, keyed by localStorage key.
+     * Used for backups; boxes that can't be parsed are skipped.
+     * @returns {Object.<string, Object.<string, object>>}
+     */
+    getAllBoxes() {
+        const allBoxes = {};
+        Object.keys(localStorage).filter(key => this.isLeitnerStorageKey(key)).forEach(key => {
+            try {
+                const boxes = JSON.parse(localStorage.getItem(key));
+                if (this.isValidBoxes(boxes)) {
+                    allBoxes[key] = boxes;
+                }
+            } catch (error) {
+                console.warn(`[LeitnerManager] Skipping unreadable Leitner boxes ${key}:`, error);
+            }
+        });
+        return allBoxes;
+    }
+
+    /**
+     * Counts how many items of a player's boxes would change when merged, see mergeBoxes.
+     * @param {string} storageKey - A Leitner key.
+     * @param {Object.<string, object>} boxes - Items to merge in.
+     * @returns {number}
+     */
+    countChangedItems(storageKey, boxes) {
+        return this._findChangedItems(this._readBoxes(storageKey), boxes).length;
+    }
+
+    /**
+     * Merges items (e.g. from a backup) into the boxes stored under a key.
+     * Per question the item that was answered last wins, so practice done on this
+     * device after the backup is kept.
+     * @param {string} storageKey - A Leitner key.
+     * @param {Object.<string, object>} boxes - Items to merge in.
+     * @returns {number} The number of changed items.
+     */
+    mergeBoxes(storageKey, boxes) {
+        if (!this.isLeitnerStorageKey(storageKey) || !this.isValidBoxes(boxes)) {
+            console.warn(`[LeitnerManager] Refusing to merge invalid Leitner boxes into ${storageKey}.`);
+            return 0;
+        }
+        const currentBoxes = this._readBoxes(storageKey);
+        const changedItems = this._findChangedItems(currentBoxes, boxes);
+        if (changedItems.length === 0) return 0;
+
+        changedItems.forEach(itemKey => { currentBoxes[itemKey] = boxes[itemKey]; });
+        localStorage.setItem(storageKey, JSON.stringify(currentBoxes));
+        console.log(`[LeitnerManager] Merged ${changedItems.length} items into ${storageKey}.`);
+        return changedItems.length;
+    }
+
+    /**
+     * Finds the items of `incoming` that are missing in `current` or were answered later.
+     * @param {Object.<string, object>} current - Stored items.
+     * @param {Object.<string, object>} incoming - Items to merge in.
+     * @returns {string[]} The item keys to take from `incoming`.
+     * @private
+     */
+    _findChangedItems(current, incoming) {
+        return Object.keys(incoming).filter(itemKey => !current[itemKey] || incoming[itemKey].lastSeen > current[itemKey].lastSeen);
+    }
+
+    /**
+     * Reads the boxes stored under a key.
+     * @param {string} storageKey - A Leitner key.
+     * @returns {Object.<string, object>} The stored items, empty if missing or invalid.
+     * @private
+     */
+    _readBoxes(storageKey) {
+        try {
+            const boxes = JSON.parse(localStorage.getItem(storageKey));
+            return this.isValidBoxes(boxes) ? boxes : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Reads the boxes of a player.
+     * @param {string} playerName
+     * @returns {Object.<string, {box: number, due: number, lastSeen: number}>} Empty when nothing is stored or the data is damaged.
+     * @private
+     */
+    _load(playerName) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this._getStorageKey(playerName)) || '{}');
+            return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+        } catch (error) {
+            console.error(`[LeitnerManager] Could not read Leitner boxes of '${playerName}':`, error);
+            return {};
+        }
+    }
+
+    /**
+     * Stores the boxes of a player.
+     * @param {string} playerName
+     * @param {Object.<string, object>} boxes
+     * @private
+     */
+    _save(playerName, boxes) {
+        try {
+            localStorage.setItem(this._getStorageKey(playerName), JSON.stringify(boxes));
+        } catch (error) {
+            console.error(`[LeitnerManager] Could not save Leitner boxes of '${playerName}':`, error);
+        }
+    }
+
+    /**
+     * @param {string} playerName
+     * @returns {string} The localStorage key for a player's boxes; names differing only in case share one.
+     * @private
+     */
+    _getStorageKey(playerName) {
+        const playerKey = (playerName || '').trim().toLowerCase() || DEFAULT_PLAYER_KEY;
+        return `${STORAGE_KEY_PREFIX}${playerKey}`;
+    }
+}
+
+// Create and export a singleton instance
+const leitnerManager = new LeitnerManager();
+export default leitnerManager;
@@ -35,6 +35,7 @@ class MultiplayerClientManager {
         this._receivedGameData = null;
         this._receivedDifficulty = null;
         this._receivedPlayers = null;
+        this._receivedSettings = null;
         
         console.log(`[${this.constructor.name}] Initialized`);
         this.listen();
@@ -222,6 +223,7 @@ class MultiplayerClientManager {
         this._receivedGameData = null;
         this._receivedDifficulty = null;
         this._receivedPlayers = null;
+        this._receivedSettings = null;
         this._playerName = null; // Clear player name on reset
         console.log('[MultiplayerClientManager] State reset.');
     }
@@ -271,6 +273,7 @@ class MultiplayerClientManager {
                     this._receivedGameData = gameData;
                     this._receivedDifficulty = difficulty;
                     this._receivedPlayers = playersData;
+                    this._receivedSettings = payload.settings || {};
                     console.log(`[${this.constructor.name}] Stored received game info.`);
                     // --- END NEW --- 
 
@@ -318,6 +321,13 @@ class MultiplayerClientManager {
 
                 // 1. Extract countdown duration (use default if missing)
                 const countdownDurationSec = payload.countdownDuration ?? 5;
+                // The session length can change in the host lobby after GAME_INFO, so it comes with GAME_START
+                this._receivedSettings = {
+                    ...this._receivedSettings,
+                    questionCount: payload.questionCount || 0,
+                    questionKeys: payload.questionKeys || null,
+                    timeLimitMinutes: payload.timeLimitMinutes || 0
+                };
                 const startDelayMs = (countdownDurationSec * 1000) + 500; // Add buffer
 
                 console.log(`[MultiplayerClientManager] Starting ${countdownDurationSec}s countdown locally.`);
@@ -343,6 +353,7 @@ class MultiplayerClientManager {
                             questionsData: this._receivedGameData,
                             difficulty: this._receivedDifficulty,
                             players: this._receivedPlayers,
+                            settings: this._receivedSettings,
                             hostId: this.hostPeerId
                         }
                     });
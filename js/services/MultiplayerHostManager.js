@@ -4,6 +4,7 @@ import Events from '../core/event-constants.js';
 import QuizEngine from './QuizEngine.js'; 
 import webRTCManager from './WebRTCManager.js';
 import { getTextTemplate } from '../utils/miscUtils.js';
+import { inlineImageReference } from '../utils/imageUtils.js';
 // Import MSG_TYPE constants
 import { MSG_TYPE } from '../core/message-types.js'; 
 
@@ -33,6 +34,7 @@ class MultiplayerHostManager {
         this.questionsData = null; // ADDED: Store loaded questions data
         this.difficulty = settings.difficulty; // ADDED: Store difficulty from settings
         this.activeGame = null; // ADDED: Reference to the active game instance
+        this._clientSheetsPromise = null; // Questions as sent to clients, see _getClientSheets
 
         // Use the imported singleton instance
         this.quizEngine = QuizEngine.getInstance(); // Get the singleton instance
@@ -60,7 +62,8 @@ class MultiplayerHostManager {
         // BUGFIX: loadQuestionsFromManager doesn't return questions data, 
         // it modifies the QuizEngine instance internally.
         // We need to track success instead of expecting a return value
-        await this.quizEngine.loadQuestionsFromManager(this.settings.sheetIds, this.settings.difficulty);
+        // No questionCount here: clients get all questions, the host picks them when the game starts
+        await this.quizEngine.loadQuestionsFromManager(this.settings.sheetIds, this.settings.difficulty, { direction: this.settings.direction, tags: this.settings.tags });
         
         // If we get here without an error being thrown, questions were loaded successfully
         // Set questionsData to a non-null value to indicate successful initialization
@@ -120,6 +123,7 @@ class MultiplayerHostManager {
 
                 // ADDED: Listen for the host UI signal to start the game
                 eventBus.on(Events.UI.HostLobby.StartGameClicked, this.handleStartGameClicked);
+                eventBus.on(Events.UI.HostLobby.SessionSettingsChanged, this.handleSessionSettingsChanged);
                 console.log(`[${this.constructor.name}] Listening for StartGameClicked.`);
 
             } catch (gameError) {
@@ -158,6 +162,7 @@ class MultiplayerHostManager {
         eventBus.off(Events.WebRTC.MessageReceived, this.handleDataReceived); // Stop listening for lobby messages
         eventBus.off(Events.Multiplayer.Common.PlayerListUpdated, this._handlePlayerListUpdate); // Stop sync based on WebRTC list
         eventBus.off(Events.UI.HostLobby.StartGameClicked, this.handleStartGameClicked); // Stop listening for UI start click
+        eventBus.off(Events.UI.HostLobby.SessionSettingsChanged, this.handleSessionSettingsChanged);
 
         // Keep the activeGame instance, it's needed for the game phase
         // if (this.activeGame) { ... }
@@ -179,6 +184,7 @@ class MultiplayerHostManager {
         this._rematchRequestedPeers.clear();
         // Reset added properties
         this.questionsData = null; 
+        this._clientSheetsPromise = null;
         this.difficulty = this.settings.difficulty; // Reset difficulty from initial settings
         // Add host again after clearing
         this.addPlayer(this.hostId, this.hostName, true, true); 
@@ -278,7 +284,7 @@ class MultiplayerHostManager {
         
         // --- FIX: Send game info immediately upon connection --- 
         console.log(`[${this.constructor.name} Lobby] Sending initial game info to newly connected client: ${peerId}`);
-        this.sendGameInfoToClient(peerId);
+        this.sendGameInfoToClient(peerId).catch(this._handleGameInfoError);
         // --- END FIX ---
     }
 
@@ -322,9 +328,10 @@ class MultiplayerHostManager {
     /**
      * Sends game info (questions, difficulty, players) to a specific client using the internal send method.
      * @param {string} clientPeerId The PeerJS ID of the client.
+     * @returns {Promise<void>}
      * @private
      */
-    sendGameInfoToClient(clientPeerId) {
+    async sendGameInfoToClient(clientPeerId) {
         // Ensure quizEngine instance and questions exist
         if (!this.isHosting || !this.quizEngine || !this.quizEngine.questions || this.quizEngine.questions.length === 0 || !clientPeerId) {
             console.warn(`[${this.constructor.name}] Cannot send game info: hosting inactive, quiz engine not ready/no questions, or invalid client ID.`);
@@ -332,26 +339,18 @@ class MultiplayerHostManager {
         }
 
         console.log(`[${this.constructor.name}] Sending game info to client ${clientPeerId}...`);
+        const sheetsMap = await this._getClientSheets();
 
-        // Group questions by sheetId
-        const questionsForClient = this.quizEngine.questions;
-        const sheetsMap = new Map();
-        questionsForClient.forEach(q => {
-            if (!q.sheetId) return;
-            if (!sheetsMap.has(q.sheetId)) {
-                sheetsMap.set(q.sheetId, []);
-            }
-            sheetsMap.get(q.sheetId).push({ question: q.question, answer: q.answer });
-        });
-
-        // Get sheet metadata (id, name)
+        // Get sheet metadata (id, name, and the sheet a category belongs to)
         const availableSheets = (typeof questionsManager !== 'undefined' && questionsManager.getAvailableSheets) ? questionsManager.getAvailableSheets() : [];
         const sheets = Array.from(sheetsMap.entries()).map(([sheetId, questions]) => {
             const meta = availableSheets.find(s => s.id === sheetId) || { id: sheetId, name: sheetId, isCustom: false };
             return {
                 id: sheetId,
                 name: meta.name || sheetId,
+                groupName: meta.fileId ? meta.metadata.title : undefined,
                 isCustom: meta.isCustom || false,
+                distractorStrategy: meta.distractorStrategy,
                 questions
             };
         });
@@ -367,6 +366,52 @@ class MultiplayerHostManager {
         console.log(`[${this.constructor.name}] Game info sent to client ${clientPeerId}`, gameInfoPayload);
     }
 
+    /**
+     * Prepares the questions for clients once per game, grouped by sheetId. Images referenced
+     * by questions are inlined as data URLs, since clients may not have the files.
+     * A failed preparation is retried on the next call.
+     * @returns {Promise<Map<string, Array<object>>>} The questions per sheetId.
+     * @private
+     */
+    _getClientSheets() {
+        if (!this._clientSheetsPromise) {
+            this._clientSheetsPromise = Promise.all(this.quizEngine.questions.filter(q => q.sheetId).map(async q => ({
+                sheetId: q.sheetId,
+                question: {
+                    question: await inlineImageReference(q.question),
+                    answer: await inlineImageReference(q.answer),
+                    alternatives: q.alternatives && await Promise.all(q.alternatives.map(inlineImageReference)),
+                    distractors: q.distractors && await Promise.all(q.distractors.map(inlineImageReference)), // Clients must offer the same options as the host
+                    id: q.id,
+                    key: this.quizEngine.getQuestionKey(q), // Clients ask the questions the host picks by this key
+                    explanation: q.explanation,
+                    answerCheck: q.answerCheck,
+                    isReversed: q.isReversed
+                }
+            }))).then(entries => {
+                const sheetsMap = new Map();
+                entries.forEach(({ sheetId, question }) => {
+                    if (!sheetsMap.has(sheetId)) {
+                        sheetsMap.set(sheetId, []);
+                    }
+                    sheetsMap.get(sheetId).push(question);
+                });
+                return sheetsMap;
+            });
+            this._clientSheetsPromise.catch(() => { this._clientSheetsPromise = null; });
+        }
+        return this._clientSheetsPromise;
+    }
+
+    /**
+     * Logs a game info send that failed; the client gets another one when it signals ready again.
+     * @param {Error} error
+     * @private
+     */
+    _handleGameInfoError = (error) => {
+        console.error(`[${this.constructor.name}] Could not send game info:`, error);
+    }
+
     /**
      * Handles data messages received from any connected client *during the lobby phase*.
      * Primarily handles 'c_requestJoin' and 'client_ready'.
@@ -431,7 +476,7 @@ class MultiplayerHostManager {
                          this.addPlayer(sender, player.name, isReady, player.isHost);
                          
                          // Send game info to the client immediately when they become ready
-                         this.sendGameInfoToClient(sender);
+                         this.sendGameInfoToClient(sender).catch(this._handleGameInfoError);
                          
                          // Force broadcast the player list update to ensure all clients receive it
                          this._broadcastPlayerListUpdate();
@@ -444,7 +489,7 @@ class MultiplayerHostManager {
                      } else {
                           console.log(`[${this.constructor.name} Lobby] Player ${playerName} (${sender}) already marked as ready.`);
                           // Re-send game info even if already ready (might be reconnecting)
-                          this.sendGameInfoToClient(sender);
+                          this.sendGameInfoToClient(sender).catch(this._handleGameInfoError);
                      }
                  } else {
                       console.warn(`[${this.constructor.name} Lobby] Received client_ready from unknown peer ${sender}`);
@@ -601,7 +646,7 @@ class MultiplayerHostManager {
      * Tells the active game instance to begin its start sequence.
      * @private
      */
-    handleStartGameClicked = () => {
+    handleStartGameClicked = async () => {
         console.log(`[${this.constructor.name}] Start Game button clicked.`);
         if (!this.isHosting) {
             console.warn(`[${this.constructor.name}] StartGameClicked received, but not hosting.`);
@@ -624,6 +669,10 @@ class MultiplayerHostManager {
 
         console.log(`[${this.constructor.name}] Instructing active game instance to start sequence...`);
         this.gameHasStarted = true; // Set flag to prevent multiple starts
+        // Game info still being prepared goes out first, so no client gets GAME_START before it
+        if (this._clientSheetsPromise) {
+            await this._clientSheetsPromise.catch(() => {});
+        }
         this.activeGame.startGameSequence();
 
         // Optionally: Stop listening for *new* client connections/lobby messages here?
@@ -631,6 +680,23 @@ class MultiplayerHostManager {
         // and the HostLobbyComponent hides itself. Let's rely on the game sequence for now.
     };
 
+    /**
+     * Handles the host changing the session length in the lobby.
+     * Updates the shared settings object, which the host game reads when the game starts.
+     * @param {object} payload
+     * @param {number} payload.questionCount - Number of questions, 0 for all.
+     * @param {number} payload.timeLimitMinutes - Time limit of the game, 0 for none.
+     */
+    handleSessionSettingsChanged = ({ questionCount, timeLimitMinutes }) => {
+        if (this.gameHasStarted) {
+            console.warn(`[${this.constructor.name}] SessionSettingsChanged received, but game already started.`);
+            return;
+        }
+        this.settings.questionCount = questionCount;
+        this.settings.timeLimitMinutes = timeLimitMinutes;
+        console.log(`[${this.constructor.name}] Session settings changed:`, { questionCount, timeLimitMinutes });
+    };
+
     /**
      * [REVISED] Initiates the game start sequence.
      * Stops lobby listeners and broadcasts GAME_START.
@@ -2,11 +2,29 @@ import eventBus from '../core/event-bus.js';
 import Events from '../core/event-constants.js';
 import uiManager from '../ui/UIManager.js'; // Import UIManager to access dialogs
 import { getTextTemplate } from '../utils/miscUtils.js'; // Import the new utility
+import { DISTRACTOR_STRATEGIES, DEFAULT_DISTRACTOR_STRATEGY } from '../utils/distractorUtils.js';
+import { QUESTION_GENERATORS, generateQuestions } from '../utils/questionGenerators.js';
+import arrayUtils from '../utils/arrayUtils.js';
+import {
+    ANSWER_CHECKS,
+    DEFAULT_ANSWER_CHECK,
+    formatQuestionLines,
+    formatSheetProblem,
+    groupQuestionsByCategory,
+    hasQuestionCategories,
+    hasSheetErrors,
+    pickSheetMetadata,
+    parseQuestionLines,
+    parseTxtSheet,
+    parseJsonSheet
+} from '../utils/sheetFormats.js';
+import { decodeSheetFromUrl } from '../utils/shareUtils.js';
 
 // Configuration and constants
 const CONFIG_PATH = './config.json'; // Path to the config file relative to index.html
 const DEFAULT_SHEET_DIR = './'; // Base directory for default sheets
 const CUSTOM_SHEETS_STORAGE_KEY = 'customSheets';
+const SHEET_FILE_PATTERN = /\.(txt|json)$/; // Supported sheet formats, see utils/sheetFormats.js
 
 /**
  * Manages loading and accessing question sheet data.
@@ -14,9 +32,11 @@ const CUSTOM_SHEETS_STORAGE_KEY = 'customSheets';
  */
 class QuestionsManager {
     constructor() {
-        this.customSheets = new Map(); // Stores { id, name, questions: [{ question, answer }], isCustom: true, originHostName?: string }
+        this.customSheets = new Map(); // Stores { id, name, questions: [{ question, answer, alternatives?, distractors?, id?, explanation?, category? }], isCustom: true, answerCheck?: 'value', originHostName?: string }
         this.loadedQuestionsCache = new Map(); // Caches parsed CATEGORY OBJECTS keyed by FILE ID (e.g., 'tafels')
-        this.selectableItems = []; // Holds { id: string, name: string, isCustom: boolean } for UI
+        this.sheetOptions = new Map(); // Per-file options keyed by FILE ID: { distractorStrategy, answerCheck, metadata }
+        this.generatorEntries = new Map(); // config.json entries of generated sheets keyed by FILE ID, see _expandGeneratorEntry
+        this.selectableItems = []; // Holds { id, name, isCustom, distractorStrategy, answerCheck, fileId?, metadata } for UI, see _createCategoryItem
         this.isInitialized = false;
         this.initializationPromise = null;
         this.initialize();
@@ -31,6 +51,7 @@ class QuestionsManager {
         eventBus.on(Events.UI.CustomQuestions.SaveClicked, this._handleSaveCustomSheet);
         eventBus.on(Events.UI.CustomQuestions.DeleteClicked, this._handleDeleteCustomSheet);
         eventBus.on(Events.UI.CustomQuestions.EditClicked, this._handleLoadSheetForEdit);
+        eventBus.on(Events.System.SharedSheetDetected, this._handleSharedSheetDetected);
     }
 
     /**
@@ -97,6 +118,9 @@ class QuestionsManager {
     /**
      * Loads config, fetches default sheets, parses them for categories,
      * caches the full parsed data, and builds the selectable item list for categories.
+     * Entries in `config.sheets` are either a filename (.txt or .json) or an object with options:
+     * `{ "file": "tafels.txt", "distractors": "numeric" }`, or a procedural generator:
+     * `{ "generator": "addition", "id": "optellen", "name": "Optellen tot 100", "max": 100 }`.
      * @private
      */
     async _discoverAndParseDefaultSheets() {
@@ -109,13 +133,20 @@ class QuestionsManager {
                 return; // Stop discovery
             }
 
-            const loadPromises = config.sheets.map(async (sheetFilename) => {
-                if (typeof sheetFilename !== 'string' || !sheetFilename.endsWith('.txt')) {
-                    console.warn(`[QuestionsManager] Skipping invalid sheet entry in config: ${sheetFilename}`);
+            const loadPromises = config.sheets.map(async (sheetEntry) => {
+                if (typeof sheetEntry?.generator === 'string') {
+                    discoveredCount += this._expandGeneratorEntry(sheetEntry);
+                    return;
+                }
+                const sheetFilename = typeof sheetEntry === 'string' ? sheetEntry : sheetEntry?.file;
+                if (typeof sheetFilename !== 'string' || !SHEET_FILE_PATTERN.test(sheetFilename)) {
+                    console.warn(`[QuestionsManager] Skipping invalid sheet entry in config:`, sheetEntry);
                     return; // Skip this file
                 }
-                const fileId = sheetFilename.replace('.txt', '');
+                const fileId = sheetFilename.replace(SHEET_FILE_PATTERN, '');
                 const path = `${DEFAULT_SHEET_DIR}${sheetFilename}`;
+                const distractorStrategy = this._validateDistractorStrategy(sheetEntry.distractors, sheetFilename);
+                this.sheetOptions.set(fileId, { distractorStrategy, answerCheck: DEFAULT_ANSWER_CHECK, metadata: {} });
 
                 try {
                     // console.debug(`[QuestionsManager] Fetching ${path}...`);
@@ -123,9 +154,10 @@ class QuestionsManager {
                     if (!response.ok) {
                         throw new Error(`HTTP ${response.status} for ${path}`);
                     }
-                    const sheetText = await response.text();
                     // Parse into category object { "Cat Name": [...] }
-                    const parsedCategoryObject = this._parseSheetText(sheetText, fileId);
+                    const { metadata, categories: parsedCategoryObject } = this._parseSheetFile(await response.text(), fileId, path);
+                    this.sheetOptions.get(fileId).metadata = metadata;
+                    this.sheetOptions.get(fileId).answerCheck = metadata.answerCheck || DEFAULT_ANSWER_CHECK;
 
                     // Cache the full parsed object keyed by fileId
                     if (Object.keys(parsedCategoryObject).length > 0) {
@@ -134,11 +166,7 @@ class QuestionsManager {
 
                         // Add each category title to selectableItems
                         Object.keys(parsedCategoryObject).forEach(categoryTitle => {
-                            this.selectableItems.push({
-                                id: `${fileId}:${categoryTitle}`, // Composite ID
-                                name: categoryTitle,
-                                isCustom: false
-                            });
+                            this.selectableItems.push(this._createCategoryItem(fileId, categoryTitle));
                             discoveredCount++;
                             // console.debug(`[QuestionsManager] Added selectable category: ${categoryTitle} (ID: ${fileId}:${categoryTitle})`);
                         });
@@ -160,6 +188,152 @@ class QuestionsManager {
         }
     }
 
+    /**
+     * Runs a procedural generator from config.json and registers its questions as a
+     * single category, cached and selectable just like a category from a .txt sheet.
+     * Generated answers are numbers, so the distractor strategy defaults to 'numeric'
+     * and answers are compared by value ("1.000" is 1000).
+     * Metadata keys (description, grade, ...) can be given on the config entry itself.
+     * @param {object} generatorEntry - The config entry, e.g. `{ "generator": "division", "to": 10 }`.
+     * @returns {number} The number of categories added (0 or 1).
+     * @private
+     */
+    _expandGeneratorEntry(generatorEntry) {
+        const generator = QUESTION_GENERATORS[generatorEntry.generator];
+        if (!generator) {
+            console.warn(`[QuestionsManager] Skipping unknown generator '${generatorEntry.generator}' in config:`, generatorEntry);
+            return 0;
+        }
+        const fileId = generatorEntry.id || `generated-${generatorEntry.generator}`;
+        if (this.loadedQuestionsCache.has(fileId)) {
+            console.warn(`[QuestionsManager] Skipping generator entry with duplicate id '${fileId}'. Give each generator a unique "id".`);
+            return 0;
+        }
+        const categoryTitle = generatorEntry.name || generator.defaultName;
+
+        try {
+            const questions = generateQuestions(generatorEntry);
+            if (questions.length === 0) {
+                console.warn(`[QuestionsManager] Generator '${fileId}' produced no questions, skipping.`);
+                return 0;
+            }
+            const distractorStrategy = this._validateDistractorStrategy(generatorEntry.distractors ?? 'numeric', fileId);
+            const metadata = pickSheetMetadata(generatorEntry, fileId);
+            this.sheetOptions.set(fileId, { distractorStrategy, answerCheck: metadata.answerCheck || 'value', metadata });
+            this.loadedQuestionsCache.set(fileId, { [categoryTitle]: questions });
+            this.generatorEntries.set(fileId, generatorEntry);
+            this.selectableItems.push(this._createCategoryItem(fileId, categoryTitle));
+            console.log(`[QuestionsManager] Generated ${questions.length} questions for '${categoryTitle}' (ID: ${fileId}).`);
+            return 1;
+        } catch (error) {
+            console.error(`[QuestionsManager] Generator '${fileId}' failed:`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * Builds the selectable item for a category of a default (or generated) sheet.
+     * @param {string} fileId - The sheet's file ID, e.g. 'tafels'.
+     * @param {string} categoryTitle - The category within the sheet.
+     * @returns {{id: string, name: string, isCustom: boolean, distractorStrategy: string, answerCheck: string, fileId: string, metadata: object}}
+     * @private
+     */
+    _createCategoryItem(fileId, categoryTitle) {
+        const { distractorStrategy, answerCheck, metadata } = this.sheetOptions.get(fileId);
+        return {
+            id: `${fileId}:${categoryTitle}`, // Composite ID
+            name: categoryTitle,
+            isCustom: false,
+            distractorStrategy,
+            answerCheck,
+            fileId,
+            metadata
+        };
+    }
+
+    /**
+     * Builds the selectable items for a custom sheet: one for a sheet without categories,
+     * or one per category, with the composite ID 'custom_123:Category Title' like default sheets.
+     * Category items carry the sheet ID as `fileId` and its name as metadata title, so they
+     * are grouped under the sheet name in the sheet selection.
+     * @param {string} sheetId - The custom sheet ID.
+     * @param {object} sheetData - The stored custom sheet.
+     * @returns {Array<{id: string, name: string, isCustom: boolean, distractorStrategy: string, answerCheck: string, fileId?: string, metadata: object}>}
+     * @private
+     */
+    _createCustomItems(sheetId, sheetData) {
+        const name = sheetData.name || getTextTemplate('qmDefaultCustomName');
+        const distractorStrategy = this._validateDistractorStrategy(sheetData.distractorStrategy, sheetId);
+        const answerCheck = ANSWER_CHECKS.includes(sheetData.answerCheck) ? sheetData.answerCheck : DEFAULT_ANSWER_CHECK;
+        if (!hasQuestionCategories(sheetData.questions)) {
+            return [{ id: sheetId, name, isCustom: true, distractorStrategy, answerCheck, metadata: {} }];
+        }
+        return Object.keys(groupQuestionsByCategory(sheetData.questions, name)).map(categoryTitle => ({
+            id: `${sheetId}:${categoryTitle}`,
+            name: categoryTitle,
+            isCustom: true,
+            distractorStrategy,
+            answerCheck,
+            fileId: sheetId,
+            metadata: { title: name }
+        }));
+    }
+
+    /**
+     * Returns the questions of a custom sheet or of one of its categories.
+     * @param {string} selectableId - A custom sheet ID, or 'custom_123:Category Title'.
+     * @returns {Array<object>|null} The questions, or null if the ID is not a custom sheet (category).
+     * @private
+     */
+    _getCustomQuestions(selectableId) {
+        if (this.customSheets.has(selectableId)) {
+            return this.customSheets.get(selectableId).questions || [];
+        }
+        const separatorIndex = selectableId.indexOf(':');
+        const sheetData = separatorIndex === -1 ? null : this.customSheets.get(selectableId.substring(0, separatorIndex));
+        if (!sheetData) return null;
+        const categories = groupQuestionsByCategory(sheetData.questions || [], sheetData.name);
+        return categories[selectableId.substring(separatorIndex + 1)] || null;
+    }
+
+    /**
+     * Parses the contents of a default sheet file, .txt or .json, into metadata and categories.
+     * Broken lines are skipped with a warning in the console; the rest of the sheet is kept.
+     * @param {string} text - The raw file contents.
+     * @param {string} fileId - The sheet's file ID, for messages.
+     * @param {string} path - Path of the sheet file; the extension picks the format and images are resolved relative to it.
+     * @returns {{metadata: object, categories: Object.<string, Array<{question: string, answer: string, alternatives?: string[], distractors?: string[], tags?: string[], id?: string, explanation?: string}>>}}
+     * @throws {Error} If the file can't be parsed at all (invalid JSON or JSON sheet structure).
+     * @private
+     */
+    _parseSheetFile(text, fileId, path) {
+        const { metadata, categories, problems } = path.endsWith('.json')
+            ? parseJsonSheet(JSON.parse(text), fileId, path)
+            : parseTxtSheet(text, fileId, path);
+        problems.forEach(problem => {
+            console.warn(`[QuestionsManager] ${path}, ${formatSheetProblem(problem)}`);
+        });
+        return { metadata, categories };
+    }
+
+    /**
+     * Checks a distractor strategy name from config.json or a custom sheet.
+     * @param {string|undefined} strategy - The configured strategy, if any.
+     * @param {string} sheetIdForLogging - The sheet for warning messages.
+     * @returns {string} The strategy, or the default when missing or unknown.
+     * @private
+     */
+    _validateDistractorStrategy(strategy, sheetIdForLogging) {
+        if (strategy === undefined) {
+            return DEFAULT_DISTRACTOR_STRATEGY;
+        }
+        if (!DISTRACTOR_STRATEGIES.includes(strategy)) {
+            console.warn(`[QuestionsManager] Unknown distractor strategy '${strategy}' for sheet '${sheetIdForLogging}'. Using '${DEFAULT_DISTRACTOR_STRATEGY}'.`);
+            return DEFAULT_DISTRACTOR_STRATEGY;
+        }
+        return strategy;
+    }
+
     /** Loads custom sheets and adds their metadata to the selectableItems list. */
     _loadCustomSheetsAndAddToSelectable() {
         console.log("[QuestionsManager] Loading custom sheets from localStorage...");
@@ -168,11 +342,7 @@ class QuestionsManager {
 
         // Now add them to the selectable list
         this.customSheets.forEach((sheetData, sheetId) => {
-            this.selectableItems.push({
-                id: sheetId, // Use the custom sheet's unique ID
-                name: sheetData.name || getTextTemplate('qmDefaultCustomName'),
-                isCustom: true
-            });
+            this.selectableItems.push(...this._createCustomItems(sheetId, sheetData));
         });
          console.log(`[QuestionsManager] Added ${this.customSheets.size} custom sheets to selectable items.`);
     }
@@ -217,94 +387,6 @@ class QuestionsManager {
         }
     }
 
-    /**
-     * Parses text content with categories into a structured object.
-     * Mimics V1 parsing logic.
-     * @param {string} text - The raw text content with categories separated by double newlines.
-     * @param {string} sheetIdForLogging - The sheet ID for error messages.
-     * @returns {Object.<string, Array<{question: string, answer: string}>>} Object mapping category title to question array.
-     * @throws {Error} If parsing fails on any line.
-     * @private
-     */
-    _parseSheetText(text, sheetIdForLogging) {
-        // V1 Parsing Logic
-        const categories = text.replace(/\r/g, '').trim().split('\n\n');
-        const questionsData = {};
-        let firstErrorLine = -1;
-        let firstErrorMessage = null;
-
-        categories.forEach((categoryBlock, catIndex) => {
-            if (firstErrorMessage) return; // Stop if error found
-
-            const lines = categoryBlock.split('\n');
-            if (lines.length === 0) return; // Skip empty blocks
-
-            const titleLine = lines.shift();
-            // Handle potential parsing issue if title line is missing or empty
-            if (!titleLine) {
-                 console.warn(`[QuestionsManager] Empty block or missing title in sheet '${sheetIdForLogging}', category index ${catIndex}. Skipping.`);
-                 return;
-            }
-            const title = titleLine.trim().replace(/:$/, '').trim(); // Remove trailing colon if present
-             if (!title) {
-                 console.warn(`[QuestionsManager] Invalid empty title found in sheet '${sheetIdForLogging}', category index ${catIndex}. Skipping category.`);
-                 return; // Skip category with empty title
-            }
-
-            questionsData[title] = []; // Initialize category array
-
-            lines.forEach((line, lineIndex) => {
-                if (firstErrorMessage) return; // Stop if error found
-
-                const trimmedLine = line.trim();
-                if (!trimmedLine || trimmedLine.startsWith('//')) return; // Skip empty lines or comments
-
-                const separatorIndex = trimmedLine.indexOf('=>');
-                if (separatorIndex === -1 || separatorIndex === 0 || separatorIndex === trimmedLine.length - 2) {
-                    // Capture error details
-                    firstErrorLine = lineIndex + 1; // User-facing line number
-                    // Use template for parse error, substitute line and content
-                    firstErrorMessage = getTextTemplate('qmParseErrorLine', {
-                        '%LINE%': firstErrorLine,
-                        '%CONTENT%': trimmedLine.substring(0, 50) // Limit content length
-                    });
-                    return; // Stop processing lines in this category
-                }
-
-                const question = trimmedLine.substring(0, separatorIndex).trim();
-                const answer = trimmedLine.substring(separatorIndex + 2).trim();
-                if (question && answer) {
-                    questionsData[title].push({ question, answer });
-                } else {
-                    // Calculate approximate original line number
-                    let cumulativeLine = 1; // Start with title line
-                    for(let i = 0; i < catIndex; i++) {
-                       cumulativeLine += categories[i].split('\n').length + 1; // lines + newline separator
-                    }
-                    cumulativeLine += lineIndex + 1; // 0-based line index within category + title line offset
-
-                    firstErrorLine = cumulativeLine
-                    firstErrorMessage = `Ongeldig formaat op regel ~${firstErrorLine} in sheet '${sheetIdForLogging}' (Categorie: '${title}'): Lege vraag of antwoord.`;
-                }
-            });
-             // Remove category if it ended up empty (e.g., only contained comments)
-             if (questionsData[title].length === 0) {
-                 delete questionsData[title];
-             }
-        });
-
-        if (firstErrorMessage) {
-            console.error(`[QuestionsManager] Parsing error: ${firstErrorMessage}`);
-            throw new Error(firstErrorMessage);
-        }
-
-        if (Object.keys(questionsData).length === 0 && categories.length > 0 && categories[0].trim() !== '') {
-            console.warn(`[QuestionsManager] No valid categories or questions found after parsing sheet '${sheetIdForLogging}'. Check format.`);
-        }
-
-        return questionsData; // Return the category object
-    }
-
     // --- Custom Sheet Management ---
 
     /**
@@ -313,10 +395,11 @@ class QuestionsManager {
      * @param {string} providedSheetId - The unique ID for the sheet.
      * @param {string} name - The name of the sheet.
      * @param {string} questionsText - The raw text containing questions and answers.
+     * @param {'text'|'value'} [answerCheck='text'] - 'value' compares answers as numbers ("0,5" = "1/2").
      * @returns {Promise<string>} The ID of the saved sheet (new or existing).
      * @throws {Error} If saving fails.
      */
-    async saveCustomSheetFromText(providedSheetId, name, questionsText) {
+    async saveCustomSheetFromText(providedSheetId, name, questionsText, answerCheck = DEFAULT_ANSWER_CHECK) {
         await this._ensureInitialized();
         
         const isEditing = !!providedSheetId;
@@ -340,6 +423,9 @@ class QuestionsManager {
                 questions: questions,
                 isCustom: true
             };
+            if (answerCheck !== DEFAULT_ANSWER_CHECK) {
+                newSheetData.answerCheck = answerCheck;
+            }
 
             this.customSheets.set(sheetId, newSheetData);
             this._saveCustomSheets(); // Persist to localStorage
@@ -355,51 +441,32 @@ class QuestionsManager {
     }
 
     /**
-     * Parses the raw text from the custom questions textarea.
-     * Each line should be "Question => Answer".
-     * @param {string} text - The raw text from the textarea.
-     * @returns {Array<{question: string, answer: string}>} Parsed question objects.
-     * @throws {Error} If any line has an invalid format.
+     * Parses the raw text from the custom questions editor with the shared sheet parser.
+     * Each line should be "Question => Answer", optionally with alternatives and wrong
+     * options: "Question => Answer | Alternative ~ Wrong ~ Wrong".
+     * @param {string} text - One question per line.
+     * @returns {Array<{question: string, answer: string, alternatives?: string[], distractors?: string[]}>} Parsed question objects.
+     * @throws {Error} If any line has an error; the error has a `problems` array (see sheetFormats.js).
      * @private
      */
     _parseCustomQuestionsText(text) {
-        const lines = text.replace(/\r/g, '').split('\n');
-        const questions = [];
-        const errors = [];
-
-        lines.forEach((line, index) => {
-            const trimmedLine = line.trim();
-            if (!trimmedLine || trimmedLine.startsWith('//')) return; // Skip empty/comment lines
-
-            const parts = trimmedLine.split('=>');
-            if (parts.length === 2) {
-                const question = parts[0].trim();
-                const answer = parts[1].trim();
-                if (question && answer) {
-                    questions.push({ question, answer });
-                } else {
-                    errors.push(`Regel ${index + 1}: Vraag of antwoord is leeg.`);
-                }
-            } else {
-                errors.push(`Regel ${index + 1}: Ongeldig formaat (gebruik "Vraag => Antwoord").`);
-            }
-        });
-
-        if (errors.length > 0) {
-            throw new Error(`Fouten in vragenlijst:\n${errors.join('\n')}`);
+        const { questions, problems } = parseQuestionLines(text);
+        if (hasSheetErrors(problems)) {
+            const error = new Error(`Fouten in vragenlijst:\n${problems.map(formatSheetProblem).join('\n')}`);
+            error.problems = problems;
+            throw error;
         }
-
         return questions;
     }
 
     /**
      * Formats an array of question objects back into text for the textarea.
-     * @param {Array<{question: string, answer: string}>} questions
+     * @param {Array<{question: string, answer: string, alternatives?: string[], distractors?: string[]}>} questions
      * @returns {string}
      */
     formatQuestionsForTextarea(questions) {
         if (!Array.isArray(questions)) return '';
-        return questions.map(q => `${q.question} => ${q.answer}`).join('\n');
+        return formatQuestionLines(questions);
     }
 
     /**
@@ -459,7 +526,9 @@ class QuestionsManager {
 
     /**
      * Returns the combined list of selectable items (categories from default sheets + custom sheets).
-     * @returns {Array<{id: string, name: string, isCustom: boolean}>}
+     * Categories carry the header metadata of their sheet file (title, grade, description, ...);
+     * `fileId` is set for categories of default sheets and of custom sheets with categories.
+     * @returns {Array<{id: string, name: string, isCustom: boolean, distractorStrategy: string, fileId?: string, metadata: object}>}
      */
     getAvailableSheets() {
         if (!this.isInitialized) {
@@ -469,23 +538,52 @@ class QuestionsManager {
         return [...this.selectableItems];
     }
 
+    /**
+     * Gets the distractor strategy ('author', 'pool' or 'numeric') for a selectable item.
+     * @param {string} selectableId - The ID from the selectableItems list.
+     * @returns {string} The configured strategy, or the default for unknown IDs.
+     */
+    getDistractorStrategy(selectableId) {
+        const item = this.selectableItems.find(item => item.id === selectableId);
+        return item ? item.distractorStrategy : DEFAULT_DISTRACTOR_STRATEGY;
+    }
+
+    /**
+     * Gets how answers of a selectable item are compared: 'text' or 'value' (as numbers).
+     * Categories of a sheet file can override this for their questions, see sheetFormats.js.
+     * @param {string} selectableId - The ID from the selectableItems list, or the ID of a custom sheet with categories.
+     * @returns {'text'|'value'} The sheet's answer check, or 'text' for unknown IDs.
+     */
+    getAnswerCheck(selectableId) {
+        const item = this.selectableItems.find(item => item.id === selectableId);
+        if (item) return item.answerCheck;
+        if (this.customSheets.has(selectableId)) {
+            return this.customSheets.get(selectableId).answerCheck || DEFAULT_ANSWER_CHECK;
+        }
+        return DEFAULT_ANSWER_CHECK;
+    }
+
     /**
      * Retrieves a flat array of questions for a given selectable item ID.
      * Handles custom sheets ID or composite IDs ('fileId:Category Title') for default sheets.
+     * With a seed, generated sheets are generated again from it, so the same seed gives the
+     * same questions on any device; without one they keep the questions of this page load.
      * @param {string} selectableId - The ID from the selectableItems list.
+     * @param {object} [options={}]
+     * @param {string} [options.seed] - Seed of the game, see QuizEngine.getSeed.
      * @returns {Promise<Array<{question: string, answer: string}>>} A promise resolving to the questions array.
      * @throws {Error} If the ID is invalid or questions cannot be retrieved.
      */
-    async getQuestionsForSheet(selectableId) {
+    async getQuestionsForSheet(selectableId, { seed } = {}) {
         await this._ensureInitialized();
 
         console.debug(`[QuestionsManager] getQuestionsForSheet requested for selectable ID: ${selectableId}`);
 
-        // 1. Check if it's a known custom sheet ID
-        if (this.customSheets.has(selectableId)) {
+        // 1. Check if it's a known custom sheet ID, or a category of one
+        const customQuestions = this._getCustomQuestions(selectableId);
+        if (customQuestions) {
             console.debug(`[QuestionsManager] Returning questions from custom sheet: ${selectableId}`);
-            const customSheetData = this.customSheets.get(selectableId);
-            return customSheetData.questions || [];
+            return customQuestions;
         }
 
         // 2. Try to parse as composite ID 'fileId:Category Title'
@@ -494,6 +592,11 @@ class QuestionsManager {
             const fileId = parts[0];
             const categoryTitle = parts.slice(1).join(':'); // Re-join if title had colons
 
+            if (seed && this.generatorEntries.has(fileId)) {
+                console.debug(`[QuestionsManager] Generating questions for '${selectableId}' from seed ${seed}`);
+                return generateQuestions(this.generatorEntries.get(fileId), arrayUtils.createSeededRandom(`${seed}|${selectableId}`));
+            }
+
             // Check cache for the parsed file object
             if (this.loadedQuestionsCache.has(fileId)) {
                 const categoryObject = this.loadedQuestionsCache.get(fileId);
@@ -526,7 +629,7 @@ class QuestionsManager {
      * Ensures initialization is complete before proceeding.
      *
      * @param {string[]} selectableIds - An array of sheet IDs (e.g., ["tafels:Tafel van 2", "custom_123"]).
-     * @returns {Promise<object>} A promise resolving to an object { sheets: Array<{ id: string, name: string, isCustom: boolean, questions: Array<{question: string, answer: string}> }> }.
+     * @returns {Promise<object>} A promise resolving to an object { sheets: Array<{ id: string, name: string, isCustom: boolean, distractorStrategy: string, answerCheck: string, questions: Array<{question: string, answer: string, alternatives: string[], distractors: string[], id?: string, explanation?: string, answerCheck?: string}> }> }.
      * @throws {Error} If initialization fails or a sheet ID is invalid.
      */
     async getQuestionsForSheets(selectableIds) {
@@ -552,10 +655,10 @@ class QuestionsManager {
 
                 let questions = [];
                 if (sheetInfo.isCustom) {
-                    // Custom sheet
-                    const customSheetData = this.customSheets.get(id);
-                    if (customSheetData && Array.isArray(customSheetData.questions)) {
-                        questions = customSheetData.questions;
+                    // Custom sheet or custom category
+                    const customQuestions = this._getCustomQuestions(id);
+                    if (Array.isArray(customQuestions)) {
+                        questions = customQuestions;
                     } else {
                         console.warn(`[QuestionsManager] Custom sheet data missing or invalid for ID: ${id}. Skipping.`);
                         continue;
@@ -582,13 +685,21 @@ class QuestionsManager {
                  // Ensure questions have the correct format
                  const formattedQuestions = questions.map(q => ({
                      question: q.question || '',
-                     answer: q.answer || '' 
+                     answer: q.answer || '',
+                     alternatives: q.alternatives || [],
+                     distractors: q.distractors || [],
+                     ...(q.id !== undefined && { id: q.id }),
+                     ...(q.tags?.length && { tags: q.tags }),
+                     ...(q.explanation && { explanation: q.explanation }),
+                     ...(q.answerCheck && { answerCheck: q.answerCheck })
                  }));
 
                 results.sheets.push({
                     id: id,
                     name: sheetInfo.name, // Use the name from selectableItems
                     isCustom: sheetInfo.isCustom,
+                    distractorStrategy: sheetInfo.distractorStrategy,
+                    answerCheck: sheetInfo.answerCheck,
                     questions: formattedQuestions
                 });
 
@@ -602,6 +713,28 @@ class QuestionsManager {
         return results;
     }
 
+    /**
+     * Lists the tags used by the questions of the given sheets, for filtering on tags across sheets.
+     * Sheets that can't be read are skipped.
+     * @param {string[]} selectableIds - IDs from the selectableItems list.
+     * @returns {Promise<Array<{tag: string, count: number}>>} Each tag with its number of questions, sorted by tag.
+     */
+    async getTagsForSheets(selectableIds) {
+        await this._ensureInitialized();
+        const counts = new Map();
+        for (const id of selectableIds) {
+            try {
+                const questions = await this.getQuestionsForSheet(id);
+                questions.forEach(q => (q.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+            } catch (error) {
+                console.warn(`[QuestionsManager] Could not read tags of sheet ${id}:`, error);
+            }
+        }
+        return [...counts.entries()]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => a.tag.localeCompare(b.tag));
+    }
+
     /**
      * Gets a display-friendly name for a given sheet ID.
      * Placeholder implementation - adjust based on how sheet data is stored.
@@ -625,20 +758,12 @@ class QuestionsManager {
         // Add default categories from cache
         this.loadedQuestionsCache.forEach((categoryObject, fileId) => {
             Object.keys(categoryObject).forEach(categoryTitle => {
-                this.selectableItems.push({
-                    id: `${fileId}:${categoryTitle}`, // Composite ID
-                    name: categoryTitle,
-                    isCustom: false
-                });
+                this.selectableItems.push(this._createCategoryItem(fileId, categoryTitle));
             });
         });
         // Add custom sheets
         this.customSheets.forEach((sheetData, sheetId) => {
-            this.selectableItems.push({
-                id: sheetId,
-                name: sheetData.name || getTextTemplate('qmDefaultCustomName'),
-                isCustom: true
-            });
+            this.selectableItems.push(...this._createCustomItems(sheetId, sheetData));
         });
         console.debug(`[QuestionsManager] Selectable items refreshed. Count: ${this.selectableItems.length}`);
     }
@@ -676,8 +801,115 @@ class QuestionsManager {
         eventBus.emit(Events.System.ShowFeedback, { message: `Nieuwe lijst '${sheetData.name}' ontvangen en opgeslagen.`, level: 'success' });
     }
 
+    /**
+     * Stores a sheet opened from a share link as a new custom sheet.
+     * Always creates a new sheet, so importing the same link twice gives two copies.
+     * @param {{name: string, questions: Array<object>, answerCheck?: string}} sheet - The decoded sheet, see utils/shareUtils.js.
+     * @returns {Promise<string>} The ID of the new sheet.
+     */
+    async importSharedSheet({ name, questions, answerCheck }) {
+        await this._ensureInitialized();
+        const sheetId = `custom_${Date.now()}`;
+        this.customSheets.set(sheetId, {
+            id: sheetId,
+            name: name || getTextTemplate('qmDefaultCustomName'),
+            questions: questions,
+            isCustom: true,
+            ...(answerCheck && answerCheck !== DEFAULT_ANSWER_CHECK && { answerCheck })
+        });
+        this._saveCustomSheets();
+        this._updateSelectableItems();
+        console.log(`[QuestionsManager] Imported shared sheet '${name}' as ${sheetId}.`);
+        return sheetId;
+    }
+
+    /**
+     * Lists the custom sheets themselves (not their categories), e.g. for the custom questions editor.
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getCustomSheets() {
+        return Array.from(this.customSheets, ([sheetId, sheetData]) => ({
+            id: sheetId,
+            name: sheetData.name || getTextTemplate('qmDefaultCustomName')
+        }));
+    }
+
+    /**
+     * Returns all custom sheets keyed by ID, for backups.
+     * @returns {Promise<Object.<string, object>>}
+     */
+    async getCustomSheetsForBackup() {
+        await this._ensureInitialized();
+        return Object.fromEntries(this.customSheets);
+    }
+
+    /**
+     * Stores custom sheets from a backup, replacing sheets with the same ID.
+     * @param {Object.<string, {name: string, questions: Array<object>}>} sheetsById - Validated sheets, see BackupManager.
+     * @returns {Promise<number>} The number of sheets stored.
+     */
+    async restoreCustomSheets(sheetsById) {
+        await this._ensureInitialized();
+        const entries = Object.entries(sheetsById);
+        entries.forEach(([sheetId, sheetData]) => {
+            this.customSheets.set(sheetId, { ...sheetData, id: sheetId, isCustom: true });
+        });
+        if (entries.length > 0) {
+            this._saveCustomSheets();
+            this._updateSelectableItems();
+        }
+        console.log(`[QuestionsManager] Restored ${entries.length} custom sheets from backup.`);
+        return entries.length;
+    }
+
     // --- Event Handlers --- 
 
+    /**
+     * Handles the SharedSheetDetected event: decodes the sheet from the link and
+     * asks the user whether to add it to their own lists.
+     * @param {object} payload - The event payload.
+     * @param {string} payload.encodedSheet - The encoded sheet from the URL fragment.
+     * @private
+     */
+    _handleSharedSheetDetected = async ({ encodedSheet }) => {
+        // Drop the fragment so a reload doesn't offer the same sheet again
+        history.replaceState(null, '', window.location.pathname + window.location.search);
+
+        let sheet;
+        try {
+            sheet = await decodeSheetFromUrl(encodedSheet);
+        } catch (error) {
+            console.error("[QuestionsManager] Could not decode shared sheet:", error);
+            eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('shareImportError'), level: "error" });
+            return;
+        }
+
+        const confirmationDialog = uiManager.components.get('ConfirmationDialog');
+        if (!confirmationDialog) {
+            console.error("[QuestionsManager] ConfirmationDialog component not found in UIManager!");
+            return;
+        }
+        confirmationDialog.show({
+            title: getTextTemplate('shareImportTitle'),
+            message: getTextTemplate('shareImportMessage', { '%NAME%': sheet.name, '%COUNT%': sheet.questions.length }),
+            okText: getTextTemplate('shareImportOk'),
+            cancelText: getTextTemplate('shareImportCancel'),
+            context: sheet,
+            onConfirm: async (contextSheet) => {
+                try {
+                    await this.importSharedSheet(contextSheet);
+                    eventBus.emit(Events.System.ShowFeedback, {
+                        message: getTextTemplate('shareImportDone', { '%NAME%': contextSheet.name }),
+                        level: "success"
+                    });
+                } catch (error) {
+                    console.error("[QuestionsManager] Error importing shared sheet:", error);
+                    eventBus.emit(Events.System.ShowFeedback, { message: getTextTemplate('qmSaveError'), level: "error" });
+                }
+            }
+        });
+    }
+
     /**
      * Handles the SaveClicked event from the UI.
      * Calls the appropriate save logic.
@@ -685,13 +917,14 @@ class QuestionsManager {
      * @param {string} payload.name - The name of the sheet.
      * @param {string} payload.questionsText - The raw text of questions (old format).
      * @param {string|null} payload.sheetId - The ID of the sheet if editing, null if new.
+     * @param {'text'|'value'} [payload.answerCheck] - How answers of the sheet are compared.
      * @private
      */
-    _handleSaveCustomSheet = async ({ name, questionsText, sheetId }) => {
+    _handleSaveCustomSheet = async ({ name, questionsText, sheetId, answerCheck }) => {
         console.log(`[QuestionsManager] Handling SaveClicked event. Sheet ID: ${sheetId}, Name: ${name}`);
         try {
             // Pass the potentially null sheetId from the event
-            const actualSheetId = await this.saveCustomSheetFromText(sheetId, name, questionsText);
+            const actualSheetId = await this.saveCustomSheetFromText(sheetId, name, questionsText, answerCheck);
             // Get the name from the actually saved sheet data
             const savedSheetData = this.customSheets.get(actualSheetId);
             const savedName = savedSheetData?.name || name; // Fallback to original name if needed
@@ -763,7 +996,8 @@ class QuestionsManager {
             eventBus.emit(Events.Menu.CustomQuestions.SheetLoadedForEdit, {
                 sheetId: sheetData.id, // Use the ID from the sheet data
                 name: sheetData.name,
-                questionsText: questionsText
+                questionsText: questionsText,
+                answerCheck: sheetData.answerCheck || DEFAULT_ANSWER_CHECK
             });
 
         } catch (error) {
@@ -4,22 +4,39 @@ import Events from '../core/event-constants.js';
 import questionsManager from './QuestionsManager.js';
 import arrayUtils from '../utils/arrayUtils.js'; // Changed to default import
 import { getTextTemplate } from '../utils/miscUtils.js'; // Import the utility
+import { compareAnswers, isSameNumericValue, normalizeAnswer, parseNumericValue } from '../utils/answerUtils.js';
+import { DEFAULT_DISTRACTOR_STRATEGY, generateNumericDistractors } from '../utils/distractorUtils.js';
+import { isImageReference } from '../utils/imageUtils.js';
+import { applyQuestionDirection, normalizeDirection } from '../utils/directionUtils.js';
+import { normalizeTag } from '../utils/sheetFormats.js';
+
+const DISTRACTOR_COUNT = 3; // Wrong options shown next to the correct answer
 
 
 /**
  * @typedef {object} Question
  * @property {string} question - The question text.
- * @property {string} answer - The correct answer text.
+ * @property {string} answer - The correct (canonical) answer text.
+ * @property {string[]} [alternatives] - Other answers that are accepted as correct too.
  * @property {string[]} [distractors] - Optional array of incorrect answer texts.
  * @property {string} [id] - Optional unique identifier for the question within its sheet.
+ * @property {string} [explanation] - Optional explanation of the answer (JSON sheets).
+ * @property {string[]} [tags] - Optional tags of the question ('lastig'), without '#'.
  * @property {string} [sheetId] - The ID of the sheet this question belongs to.
+ * @property {'author'|'pool'|'numeric'} [distractorStrategy] - How wrong options are picked (set per sheet).
+ * @property {'text'|'value'} [answerCheck] - How answers are compared: as text, or as numbers ("0,5" = "1/2"). Set per sheet or category.
+ * @property {boolean} [isReversed] - Whether question and answer were swapped for the reverse direction.
+ * @property {string} [key] - Key the host gave the question in a multiplayer game, see getQuestionKey.
  */
 
 /**
  * @typedef {object} Sheet
  * @property {string} id - Unique identifier for the sheet.
  * @property {string} name - Display name of the sheet.
+ * @property {string} [groupName] - Title of the sheet file or custom sheet this category belongs to, if any.
  * @property {boolean} isCustom - Whether the sheet is user-created.
+ * @property {string} [distractorStrategy] - Distractor strategy for all questions in the sheet.
+ * @property {string} [answerCheck] - Answer check for questions in the sheet that don't set their own.
  * @property {Question[]} questions - Array of questions in the sheet.
  */
 
@@ -49,6 +66,27 @@ class QuizEngine {
         this.questions = []; // Array of all loaded questions for this instance
         this.settings = null; // Store settings used for loading
         this.correctAnswerCount = 0; // Track correct answers internally for results
+        this.seed = null; // Seed of the question and answer order, see _useSeed
+        this.random = Math.random;
+    }
+
+    /**
+     * Makes the question and answer order follow a seed: the same seed with the same
+     * sheets and settings gives the same game. Without a seed a new one is created.
+     * @param {string} [seed] - A seed entered by the player.
+     * @private
+     */
+    _useSeed(seed) {
+        this.seed = arrayUtils.normalizeSeed(seed) || arrayUtils.createSeed();
+        this.random = arrayUtils.createSeededRandom(this.seed);
+    }
+
+    /**
+     * Gets the seed of the loaded game, to show it so the same game can be played again.
+     * @returns {string|null} The seed, or null before questions are loaded.
+     */
+    getSeed() {
+        return this.seed;
     }
 
     /**
@@ -90,6 +128,7 @@ class QuizEngine {
         this.settings = { difficulty: hostGameData.difficulty }; // Store difficulty
         this.questions = [];
         this.correctAnswerCount = 0;
+        this._useSeed();
 
         if (!hostGameData.questionsData.sheets || hostGameData.questionsData.sheets.length === 0) {
              throw new Error("Host questions data contains no sheets.");
@@ -99,7 +138,12 @@ class QuizEngine {
         for (const sheet of hostGameData.questionsData.sheets) {
             if (sheet.questions && sheet.questions.length > 0) {
                  // Assume questions have { question, answer }, add sheetId for context
-                const processedQuestions = sheet.questions.map(q => ({ ...q, sheetId: sheet.id }));
+                const processedQuestions = sheet.questions.map(q => ({
+                    ...q,
+                    sheetId: sheet.id,
+                    distractorStrategy: sheet.distractorStrategy,
+                    answerCheck: q.answerCheck || sheet.answerCheck
+                }));
                 allLoadedQuestions = allLoadedQuestions.concat(processedQuestions);
             }
         }
@@ -109,29 +153,43 @@ class QuizEngine {
         }
         
         // Shuffle the combined list
-        this.questions = arrayUtils.shuffleArray(allLoadedQuestions);
+        this.questions = arrayUtils.shuffleArray(allLoadedQuestions, this.random);
     }
 
     /**
      * [For Singleton/Host Use] Loads and shuffles questions using QuestionsManager.
      * @param {string[]} sheetIds - Array of sheet IDs to load questions from.
      * @param {string} [difficulty='medium'] - Difficulty level.
+     * @param {object} [options={}]
+     * @param {'forward'|'reverse'|'mixed'} [options.direction='forward'] - Ask questions as written, the other way around, or both.
+     * @param {string[]} [options.tags=[]] - Only ask questions with at least one of these tags; all questions when empty.
+     * @param {number} [options.questionCount=0] - Number of questions to ask, see limitQuestionCount; 0 asks all.
+     * @param {string} [options.seed] - Seed for the question and answer order, see getSeed; a new one when empty.
      * @returns {Promise<void>}
-     * @throws {Error} If no questions could be loaded.
+     * @throws {Error} If no questions could be loaded, or none of them has one of the tags.
      */
-    async loadQuestionsFromManager(sheetIds, difficulty = 'medium') {
+    async loadQuestionsFromManager(sheetIds, difficulty = 'medium', { direction = 'forward', tags = [], questionCount = 0, seed } = {}) {
         // This method is primarily for the singleton instance or host
-        console.log(`[QuizEngine Instance] Loading questions via Manager for sheets: ${sheetIds.join(', ')}`);
-        this.settings = { sheetIds, difficulty };
+        const selectedTags = (tags || []).map(normalizeTag).filter(tag => tag);
+        this._useSeed(seed);
+        console.log(`[QuizEngine Instance] Loading questions via Manager for sheets: ${sheetIds.join(', ')} (direction: ${direction}, tags: ${selectedTags.join(', ') || 'all'}, seed: ${this.seed})`);
+        this.settings = { sheetIds, difficulty, direction: normalizeDirection(direction), tags: selectedTags, seed: this.seed };
         this.questions = [];
         this.correctAnswerCount = 0;
     
         let allLoadedQuestions = [];
         for (const sheetId of sheetIds) {
             try {
-                const sheetQuestions = await questionsManager.getQuestionsForSheet(sheetId);
+                const sheetQuestions = await questionsManager.getQuestionsForSheet(sheetId, { seed: this.seed });
                 if (sheetQuestions && sheetQuestions.length > 0) {
-                    const processedQuestions = sheetQuestions.map(q => ({ ...q, sheetId: q.sheetId || sheetId }));
+                    const distractorStrategy = questionsManager.getDistractorStrategy(sheetId);
+                    const answerCheck = questionsManager.getAnswerCheck(sheetId);
+                    const processedQuestions = sheetQuestions.map(q => ({
+                        ...q,
+                        sheetId: q.sheetId || sheetId,
+                        distractorStrategy,
+                        answerCheck: q.answerCheck || answerCheck
+                    }));
                     allLoadedQuestions = allLoadedQuestions.concat(processedQuestions);
                     console.log(`[QuizEngine Instance] Loaded ${sheetQuestions.length} questions from ${sheetId}`);
                 } else {
@@ -147,9 +205,106 @@ class QuizEngine {
             throw new Error(getTextTemplate('qeLoadError'));
         }
 
-        this.questions = arrayUtils.shuffleArray(allLoadedQuestions);
+        if (selectedTags.length > 0) {
+            allLoadedQuestions = allLoadedQuestions.filter(q => (q.tags || []).some(tag => selectedTags.includes(tag)));
+            console.log(`[QuizEngine Instance] ${allLoadedQuestions.length} questions have one of the tags: ${selectedTags.join(', ')}`);
+            if (allLoadedQuestions.length === 0) {
+                throw new Error(getTextTemplate('qeLoadErrorNoTaggedQuestions', { '%TAGS%': selectedTags.map(tag => `#${tag}`).join(' ') }));
+            }
+        }
+
+        this.questions = arrayUtils.shuffleArray(applyQuestionDirection(allLoadedQuestions, this.settings.direction, this.random), this.random);
         console.log(`[QuizEngine Instance] Total ${this.questions.length} questions loaded and shuffled.`);
+        this.limitQuestionCount(questionCount);
+
+    }
+
+    /**
+     * Keeps only `questionCount` of the loaded questions, taken evenly from the sheets
+     * (categories) they came from, so a game over several tables asks about each of them.
+     * Does nothing when the count is 0 or not less than the number of questions.
+     * @param {number} questionCount - Number of questions to keep; 0 keeps all.
+     */
+    limitQuestionCount(questionCount) {
+        const count = Number(questionCount) || 0;
+        if (count <= 0 || count >= this.questions.length) {
+            return;
+        }
+        const questionsBySheet = new Map();
+        this.questions.forEach(q => {
+            if (!questionsBySheet.has(q.sheetId)) {
+                questionsBySheet.set(q.sheetId, []);
+            }
+            questionsBySheet.get(q.sheetId).push(q);
+        });
+        // The groups take turns in random order, so the first selected sheet doesn't always get the extra question
+        const groups = arrayUtils.shuffleArray([...questionsBySheet.values()], this.random);
+        this.questions = arrayUtils.shuffleArray(arrayUtils.pickEvenly(groups, count), this.random);
+        console.log(`[QuizEngine Instance] Limited to ${this.questions.length} questions from ${groups.length} sheets.`);
+    }
+
+    /**
+     * Builds the key a question is known by in a multiplayer game: its sheet (category) and its ID or text.
+     * The host sends it along with every question, as clients get images inlined into the text.
+     * @param {Question} question
+     * @returns {string}
+     */
+    getQuestionKey(question) {
+        return `${question.sheetId || ''}|${question.id ?? question.question}`;
+    }
+
+    /**
+     * Keeps only the questions with the given keys (see getQuestionKey), so a client asks the
+     * same questions the host picked with limitQuestionCount. Keeps all when none match.
+     * @param {string[]} questionKeys
+     */
+    keepQuestions(questionKeys) {
+        const keys = new Set(questionKeys);
+        const kept = this.questions.filter(q => keys.has(q.key));
+        if (kept.length === 0) {
+            console.warn("[QuizEngine Instance] None of the host's question keys match, keeping all questions.");
+            return;
+        }
+        this.questions = kept;
+        console.log(`[QuizEngine Instance] Kept the ${kept.length} questions picked by the host.`);
+    }
+
+    /**
+     * Loads a given list of questions in random order, e.g. the mistakes of an earlier game.
+     * @param {Question[]} questions - Questions as the quiz engine loaded them before, with `sheetId`.
+     * @param {string} [seed] - Seed for the question and answer order; a new one when empty.
+     * @throws {Error} If the list is empty.
+     */
+    loadQuestions(questions, seed) {
+        if (!Array.isArray(questions) || questions.length === 0) {
+            throw new Error(getTextTemplate('qeLoadError'));
+        }
+        this._useSeed(seed);
+        this.settings = { sheetIds: [...new Set(questions.map(q => q.sheetId))], seed: this.seed };
+        this.correctAnswerCount = 0;
+        this.questions = arrayUtils.shuffleArray(questions.map(q => ({ ...q })), this.random);
+        console.log(`[QuizEngine Instance] Loaded ${this.questions.length} given questions.`);
+    }
 
+    /**
+     * Asks a question once more, at the end of the game.
+     * @param {number} index - Index of the question to repeat.
+     */
+    repeatQuestion(index) {
+        const question = this.getQuestionData(index);
+        if (question) {
+            this.questions.push(question);
+        }
+    }
+
+    /**
+     * Replaces the loaded questions by a selection of them, e.g. the questions of a practice session.
+     * @param {function(Array<Question>): Array<Question>} selectQuestions - Gets the loaded questions,
+     *        returns the ones to ask in the order to ask them.
+     */
+    selectQuestions(selectQuestions) {
+        this.questions = selectQuestions([...this.questions]);
+        console.log(`[QuizEngine Instance] Selected ${this.questions.length} questions.`);
     }
 
     // --- Core Quiz Methods (Operate on this.questions) ---
@@ -173,48 +328,116 @@ class QuizEngine {
         return question ? question.answer : null;
     }
 
-    /** Generates and shuffles answers (correct + distractors) by index. */
+    /**
+     * Gets every answer accepted for a question: the canonical answer followed by its alternatives.
+     * @param {Question} question
+     * @returns {string[]}
+     * @private
+     */
+    _getAcceptedAnswers(question) {
+        return [question.answer, ...(question.alternatives || [])];
+    }
+
+    /**
+     * Generates and shuffles answers (correct + distractors) by index.
+     * The order follows the game's seed and the question index, so it doesn't
+     * depend on how often or in which order questions are asked for their answers.
+     */
     getShuffledAnswers(index) {
         const currentQuestion = this.getQuestionData(index);
         if (!currentQuestion) return [];
 
-        const correctAnswer = currentQuestion.answer;
-        let allAnswers = [correctAnswer];
+        const random = arrayUtils.createSeededRandom(`${this.seed}:${index}`);
+        const distractors = this._getDistractors(currentQuestion, index, random);
+        if (distractors.length === 0) {
+            console.warn(`[QuizEngine Instance] Could not generate distractors for question ${index}.`);
+        }
+        return arrayUtils.shuffleArray([currentQuestion.answer, ...distractors], random);
+    }
 
-        if (Array.isArray(currentQuestion.distractors) && currentQuestion.distractors.length > 0) {
-            allAnswers = allAnswers.concat(currentQuestion.distractors);
-        } else {
-            // Generate simple distractors from other answers in this instance's pool
-            const otherAnswers = this.questions
-                .map(q => q.answer)
-                .filter((ans, idx) => typeof ans === 'string' && ans.trim().toLowerCase() !== correctAnswer.trim().toLowerCase() && idx !== index)
-                .filter((ans, pos, self) => self.findIndex(a => a.trim().toLowerCase() === ans.trim().toLowerCase()) === pos) // Unique distractors
-                .slice(0, 3);
+    /**
+     * Picks the wrong options for a question using its sheet's distractor strategy.
+     * 'author' uses the options written in the sheet, 'numeric' generates near misses;
+     * both are topped up from the pool when they don't yield enough options.
+     * @param {Question} question
+     * @param {number} index - Index of the question in this instance's pool.
+     * @param {function(): number} random - Random source for the 'numeric' strategy.
+     * @returns {string[]}
+     * @private
+     */
+    _getDistractors(question, index, random) {
+        const strategy = question.distractorStrategy || DEFAULT_DISTRACTOR_STRATEGY;
 
-             if (otherAnswers.length > 0) {
-                  allAnswers = allAnswers.concat(otherAnswers);
-             } else {
-                   console.warn(`[QuizEngine Instance] Could not generate distractors for question ${index}.`);
-             }
+        if (strategy === 'author' && Array.isArray(question.distractors) && question.distractors.length > 0) {
+            return question.distractors;
         }
-        return arrayUtils.shuffleArray(allAnswers);
+
+        let distractors = [];
+        if (strategy === 'numeric') {
+            distractors = generateNumericDistractors(question.question, question.answer, DISTRACTOR_COUNT, random);
+        }
+        if (distractors.length < DISTRACTOR_COUNT) {
+            const poolDistractors = this._getPoolDistractors(question, index, distractors);
+            distractors = distractors.concat(poolDistractors.slice(0, DISTRACTOR_COUNT - distractors.length));
+        }
+        return distractors;
     }
 
-    /** Checks a submitted answer, performs comparison, updates internal count. */
-    checkAnswer(index, submittedAnswer) {
+    /**
+     * Generates simple distractors from other answers in this instance's pool,
+     * never offering something that is an accepted answer to this question.
+     * Image answers only get image distractors and text answers only text ones.
+     * @param {Question} question
+     * @param {number} index - Index of the question in this instance's pool.
+     * @param {string[]} [alreadyChosen=[]] - Distractors picked by another strategy, to avoid duplicates.
+     * @returns {string[]}
+     * @private
+     */
+    _getPoolDistractors(question, index, alreadyChosen = []) {
+        const acceptedAnswers = this._getAcceptedAnswers(question);
+        const excludedAnswers = acceptedAnswers.concat(alreadyChosen).map(normalizeAnswer);
+        const isAcceptedValue = ans => question.answerCheck === 'value' && acceptedAnswers.some(accepted => isSameNumericValue(ans, accepted));
+        const wantsImage = isImageReference(question.answer);
+        return this.questions
+            .map(q => q.answer)
+            .filter((ans, idx) => typeof ans === 'string' && !excludedAnswers.includes(normalizeAnswer(ans)) && idx !== index)
+            .filter(ans => !isAcceptedValue(ans)) // With answers compared by value, "0,5" is not wrong for 1/2
+            .filter(ans => isImageReference(ans) === wantsImage)
+            .filter((ans, pos, self) => self.findIndex(a => normalizeAnswer(a) === normalizeAnswer(ans)) === pos) // Unique distractors
+            .slice(0, DISTRACTOR_COUNT);
+    }
+
+    /**
+     * Checks a submitted answer, performs comparison, updates internal count.
+     * The answer and all its alternatives are accepted; `correctAnswer` is always the
+     * canonical answer. Comparison ignores case, accents and punctuation, but not the sign or separators of numbers. In 'typed' answer mode small
+     * typos are accepted too; those are reported as correct with `isAlmostCorrect` set
+     * so the UI can show the proper spelling. Questions with answerCheck 'value' also accept
+     * the same number written differently ("0,5", "0.5" and "1/2").
+     * @param {number} index - Index of the question being answered.
+     * @param {string} submittedAnswer - The chosen or typed answer.
+     * @param {'choice'|'typed'} [answerMode='choice'] - How the player answered.
+     * @returns {{isCorrect: boolean, isAlmostCorrect: boolean, correctAnswer: string|null}}
+     */
+    checkAnswer(index, submittedAnswer, answerMode = 'choice') {
         const question = this.getQuestionData(index);
         if (!question) {
-            return { isCorrect: false, correctAnswer: null };
+            return { isCorrect: false, isAlmostCorrect: false, correctAnswer: null };
         }
         const correctAnswer = question.answer;
-        let isCorrect = false;
-        if (typeof submittedAnswer === 'string' && typeof correctAnswer === 'string') {
-            isCorrect = submittedAnswer.trim().toLowerCase() === correctAnswer.trim().toLowerCase();
-        }
+        const matches = this._getAcceptedAnswers(question).map(acceptedAnswer => {
+            // Two numbers are compared by value only, the text could make "-5" look like "5"
+            if (question.answerCheck === 'value' && parseNumericValue(submittedAnswer) !== null && parseNumericValue(acceptedAnswer) !== null) {
+                return isSameNumericValue(submittedAnswer, acceptedAnswer) ? 'exact' : 'wrong';
+            }
+            return compareAnswers(submittedAnswer, acceptedAnswer, answerMode === 'typed');
+        });
+        const match = matches.includes('exact') ? 'exact' : (matches.includes('almost') ? 'almost' : 'wrong');
+        const isCorrect = match !== 'wrong';
         if (isCorrect) {
              this.correctAnswerCount++;
         }
-        return { isCorrect: isCorrect, correctAnswer: correctAnswer };
+        return { isCorrect: isCorrect, isAlmostCorrect: match === 'almost', correctAnswer: correctAnswer };
     }
 
     /** Checks if the quiz is complete based on the next index. */
@@ -226,9 +449,6 @@ class QuizEngine {
       getCorrectCount() {
           return this.correctAnswerCount;
       }
-
-      // --- Private helper for distractor generation (if needed, currently inline) ---
-      // _generateDistractors(...)
 }
 
 // Initialize the singleton instance variable for legacy access method
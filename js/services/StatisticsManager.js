@@ -0,0 +1,339 @@
+import eventBus from '../core/event-bus.js';
+import Events from '../core/event-constants.js';
+
+const DB_NAME = 'unicornpoep_statistics';
+const DB_VERSION = 1;
+const STORE_NAME = 'questionStats';
+const PLAYER_INDEX = 'player';
+const PLAYER_SHEET_INDEX = 'playerSheet';
+const USER_NAME_STORAGE_KEY = 'unicornPoepUserName';
+const DEFAULT_PLAYER_KEY = 'default';
+/** Answers kept per question for trends. */
+const HISTORY_LENGTH = 10;
+/** Questions listed as slowest per sheet. */
+const SLOWEST_COUNT = 3;
+/** A trend needs at least this many recent answers in a sheet. */
+const TREND_MIN_ANSWERS = 4;
+/** Change in the share of right answers that counts as going up or down. */
+const TREND_THRESHOLD = 0.1;
+
+/**
+ * Keeps per-player statistics of every question in IndexedDB, fed by Events.Game.AnswerChecked:
+ * how often a question was asked, how often it was answered right, the average response
+ * time and when it was last seen. The query methods are the base for views of what a
+ * player knows well and what needs practice.
+ *
+ * One record per player and question, keyed by `[player, questionKey]`:
+ * `{ player, playerName, questionKey, sheetId, question, attempts, correct, totalResponseTimeMs, averageResponseTimeMs, lastSeen, history }`
+ * where `player` is the lowercased name, `lastSeen` a timestamp and `history` the last 10
+ * answers as `{ isCorrect, responseTimeMs, at }`, oldest first.
+ */
+class StatisticsManager {
+    constructor() {
+        console.info("[StatisticsManager] Initializing (IndexedDB Statistics Service)...");
+        this._dbPromise = null;
+        this._registerListeners();
+    }
+
+    /**
+     * Registers necessary event listeners.
+     * @private
+     */
+    _registerListeners() {
+        eventBus.on(Events.Game.AnswerChecked, this._handleAnswerChecked);
+        console.log("[StatisticsManager] Registered listener for AnswerChecked.");
+    }
+
+    /**
+     * Records a checked answer. Answers without a question (e.g. from older payloads) are ignored.
+     * @param {object} payload - See Events.Game.AnswerChecked.
+     * @private
+     */
+    _handleAnswerChecked = (payload) => {
+        if (!payload?.question) return;
+        this.recordAnswer(payload).catch(error => {
+            console.error("[StatisticsManager] Could not record answer:", error);
+        });
+    }
+
+    /**
+     * Adds an answer to the statistics of a player's question.
+     * @param {object} answer
+     * @param {string} [answer.playerName] - Falls back to the player name stored on this device.
+     * @param {string} answer.question - The question as asked.
+     * @param {string|null} [answer.sheetId] - The sheet (category) the question came from.
+     * @param {string|null} [answer.questionId] - The ID of the question, if its sheet gives one.
+     * @param {boolean} answer.isCorrect
+     * @param {number} [answer.responseTimeMs=0] - Time from showing the question to the answer.
+     * @param {number} [now=Date.now()]
+     * @returns {Promise<object>} The updated record.
+     */
+    async recordAnswer({ playerName, question, sheetId = null, questionId = null, isCorrect, responseTimeMs = 0 }, now = Date.now()) {
+        const name = this._resolvePlayerName(playerName);
+        const key = [this._getPlayerKey(name), this.getQuestionKey({ sheetId, id: questionId, question })];
+        const db = await this._openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            let record;
+            store.get(key).onsuccess = (event) => {
+                const stored = event.target.result;
+                const attempts = (stored?.attempts || 0) + 1;
+                const answerTimeMs = Math.max(0, Number(responseTimeMs) || 0);
+                const totalResponseTimeMs = (stored?.totalResponseTimeMs || 0) + answerTimeMs;
+                record = {
+                    player: key[0],
+                    playerName: name,
+                    questionKey: key[1],
+                    sheetId,
+                    question,
+                    attempts,
+                    correct: (stored?.correct || 0) + (isCorrect ? 1 : 0),
+                    totalResponseTimeMs,
+                    averageResponseTimeMs: Math.round(totalResponseTimeMs / attempts),
+                    lastSeen: now,
+                    history: [...(stored?.history || []), { isCorrect: !!isCorrect, responseTimeMs: answerTimeMs, at: now }].slice(-HISTORY_LENGTH)
+                };
+                store.put(record);
+            };
+            transaction.oncomplete = () => resolve(record);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Builds the key a question's statistics are stored by: its sheet (category) and its ID or text.
+     * @param {{sheetId?: string|null, id?: string|null, question: string}} question
+     * @returns {string}
+     */
+    getQuestionKey(question) {
+        return `${question.sheetId || ''}|${question.id ?? question.question}`;
+    }
+
+    /**
+     * Gets the statistics of one question for a player.
+     * @param {string} playerName
+     * @param {{sheetId?: string, id?: string, question: string}} question
+     * @returns {Promise<object|null>} The record, or null when the player never saw the question.
+     */
+    async getQuestionStats(playerName, question) {
+        const key = [this._getPlayerKey(this._resolvePlayerName(playerName)), this.getQuestionKey(question)];
+        const result = await this._query(store => store.get(key));
+        return result || null;
+    }
+
+    /**
+     * Gets the statistics of all questions a player has seen.
+     * @param {string} playerName
+     * @returns {Promise<Array<object>>}
+     */
+    async getPlayerStats(playerName) {
+        const player = this._getPlayerKey(this._resolvePlayerName(playerName));
+        return this._query(store => store.index(PLAYER_INDEX).getAll(player));
+    }
+
+    /**
+     * Gets the statistics of the questions of one sheet (category) a player has seen.
+     * @param {string} playerName
+     * @param {string} sheetId
+     * @returns {Promise<Array<object>>}
+     */
+    async getSheetStats(playerName, sheetId) {
+        const player = this._getPlayerKey(this._resolvePlayerName(playerName));
+        return this._query(store => store.index(PLAYER_SHEET_INDEX).getAll([player, sheetId]));
+    }
+
+    /**
+     * Sums up a player's statistics per sheet (category), for the mastery overview.
+     * @param {string} playerName
+     * @returns {Promise<Map<string, {attempts: number, correct: number, percentCorrect: number, trend: 'up'|'down'|'steady'|null, slowest: Array<object>}>>}
+     *          Per sheet ID, with the slowest questions first in `slowest`; sheets the player never practiced are missing.
+     */
+    async getSheetMastery(playerName) {
+        const recordsBySheet = new Map();
+        (await this.getPlayerStats(playerName)).forEach(record => {
+            const sheetRecords = recordsBySheet.get(record.sheetId) || [];
+            sheetRecords.push(record);
+            recordsBySheet.set(record.sheetId, sheetRecords);
+        });
+
+        const mastery = new Map();
+        recordsBySheet.forEach((records, sheetId) => {
+            const attempts = records.reduce((sum, record) => sum + record.attempts, 0);
+            const correct = records.reduce((sum, record) => sum + record.correct, 0);
+            mastery.set(sheetId, {
+                attempts,
+                correct,
+                percentCorrect: attempts > 0 ? Math.round(100 * correct / attempts) : 0,
+                trend: this._getTrend(records.flatMap(record => record.history || [])),
+                slowest: [...records].sort((a, b) => b.averageResponseTimeMs - a.averageResponseTimeMs).slice(0, SLOWEST_COUNT)
+            });
+        });
+        return mastery;
+    }
+
+    /**
+     * Compares the share of right answers in the newer half of recent answers with the older half.
+     * @param {Array<{isCorrect: boolean, at: number}>} history - Recent answers of several questions.
+     * @returns {'up'|'down'|'steady'|null} Null when there are too few answers to tell.
+     * @private
+     */
+    _getTrend(history) {
+        if (history.length < TREND_MIN_ANSWERS) return null;
+        const answers = [...history].sort((a, b) => a.at - b.at);
+        const half = Math.floor(answers.length / 2);
+        const shareCorrect = entries => entries.filter(entry => entry.isCorrect).length / entries.length;
+        const change = shareCorrect(answers.slice(half)) - shareCorrect(answers.slice(0, half));
+        if (change >= TREND_THRESHOLD) return 'up';
+        if (change <= -TREND_THRESHOLD) return 'down';
+        return 'steady';
+    }
+
+    /**
+     * Deletes all statistics of a player.
+     * @param {string} playerName
+     * @returns {Promise<void>}
+     */
+    async clearPlayerStats(playerName) {
+        const records = await this.getPlayerStats(playerName);
+        const db = await this._openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            records.forEach(record => store.delete([record.player, record.questionKey]));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Gets the statistics of all players, for backups.
+     * @returns {Promise<Array<object>>}
+     */
+    async getAllRecords() {
+        return this._query(store => store.getAll());
+    }
+
+    /**
+     * Checks that data (e.g. from a backup) is a valid statistics record.
+     * @param {any} record
+     * @returns {boolean}
+     */
+    isValidRecord(record) {
+        return typeof record === 'object' && record !== null
+            && typeof record.player === 'string' && typeof record.questionKey === 'string' && typeof record.question === 'string'
+            && ['attempts', 'correct', 'totalResponseTimeMs', 'averageResponseTimeMs', 'lastSeen'].every(field => typeof record[field] === 'number')
+            && Array.isArray(record.history);
+    }
+
+    /**
+     * Counts how many records would change when merged, see mergeRecords.
+     * @param {Array<object>} records - Records to merge in.
+     * @returns {Promise<number>}
+     */
+    async countChangedRecords(records) {
+        return (await this._findChangedRecords(records)).length;
+    }
+
+    /**
+     * Merges records (e.g. from a backup) into the statistics. Per player and question the
+     * record that was seen last wins, so answers given on this device after the backup are kept.
+     * @param {Array<object>} records - Valid records, see isValidRecord.
+     * @returns {Promise<number>} The number of changed records.
+     */
+    async mergeRecords(records) {
+        const changedRecords = await this._findChangedRecords(records);
+        if (changedRecords.length === 0) return 0;
+        const db = await this._openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            const store = transaction.objectStore(STORE_NAME);
+            changedRecords.forEach(record => store.put(record));
+            transaction.oncomplete = () => {
+                console.log(`[StatisticsManager] Merged ${changedRecords.length} records.`);
+                resolve(changedRecords.length);
+            };
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Finds the records that are missing in the store or were seen later than the stored ones.
+     * @param {Array<object>} records
+     * @returns {Promise<Array<object>>}
+     * @private
+     */
+    async _findChangedRecords(records) {
+        const recordKey = record => `${record.player}\n${record.questionKey}`;
+        const stored = new Map((await this.getAllRecords()).map(record => [recordKey(record), record]));
+        return records.filter(record => {
+            const current = stored.get(recordKey(record));
+            return !current || record.lastSeen > current.lastSeen;
+        });
+    }
+
+    /**
+     * Runs a read request on the statistics store.
+     * @param {function(IDBObjectStore): IDBRequest} createRequest
+     * @returns {Promise<any>} The result of the request.
+     * @private
+     */
+    async _query(createRequest) {
+        const db = await this._openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = createRequest(db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Opens the database once, creating the store and its indexes on first use.
+     * @returns {Promise<IDBDatabase>}
+     * @throws {Error} If IndexedDB is not available or the database can't be opened.
+     * @private
+     */
+    _openDatabase() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available.'));
+                    return;
+                }
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: ['player', 'questionKey'] });
+                    store.createIndex(PLAYER_INDEX, 'player');
+                    store.createIndex(PLAYER_SHEET_INDEX, ['player', 'sheetId']);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            // A failed open is retried on the next call
+            this._dbPromise.catch(() => { this._dbPromise = null; });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * @param {string} [playerName]
+     * @returns {string} The given name, or else the player name stored on this device.
+     * @private
+     */
+    _resolvePlayerName(playerName) {
+        return playerName || localStorage.getItem(USER_NAME_STORAGE_KEY) || '';
+    }
+
+    /**
+     * @param {string} playerName
+     * @returns {string} The key a player's records are stored under; names differing only in case share one.
+     * @private
+     */
+    _getPlayerKey(playerName) {
+        return (playerName || '').trim().toLowerCase() || DEFAULT_PLAYER_KEY;
+    }
+}
+
+// Create and export a singleton instance
+const statisticsManager = new StatisticsManager();
+export default statisticsManager;
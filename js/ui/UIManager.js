@@ -11,6 +11,7 @@ import HostLobbyComponent from '../components/host-lobby-component.js';
 import JoinLobbyComponent from '../components/join-lobby-component.js';
 import GameAreaComponent from '../components/game-area-component.js';
 import HighscoresComponent from '../components/highscores-component.js';
+import MasteryComponent from '../components/mastery-component.js';
 import CustomQuestionsComponent from '../components/custom-questions-component.js';
 import AboutComponent from '../components/about-component.js';
 import LoadingComponent from '../components/loading-component.js';
@@ -41,6 +42,7 @@ import ConfirmationDialog from '../dialogs/confirmation-dialog.js'; // Import th
 import WaitingDialog from '../dialogs/waiting-dialog.js'; // <-- Add this import
 import MultiplayerLobbyDialog from '../dialogs/multiplayer-lobby-dialog.js'; // <-- ADDED
 import Views from '../core/view-constants.js'; // Ensure Views is imported
+import { SHARE_HASH_PREFIX } from '../utils/shareUtils.js';
 
 /**
  * Manages the overall UI state, including:
@@ -185,6 +187,7 @@ class UIManager extends RefactoredBaseComponent {
         this._registerComponent(new GameAreaComponent());
         this._registerComponent(new CustomQuestionsComponent());
         this._registerComponent(new HighscoresComponent());
+        this._registerComponent(new MasteryComponent());
         this._registerComponent(new AboutComponent());
 
         // --- Instantiate Utility/Overlay Components (extend BaseComponent) ---
@@ -278,6 +281,18 @@ class UIManager extends RefactoredBaseComponent {
         }
         return false;
     }
+
+    /**
+     * Detects a shared sheet in the URL fragment (#sheet=...).
+     * @returns {string|false} The encoded sheet, or false if there is none.
+     */
+    detectSharedSheet() {
+        const hash = window.location.hash;
+        if (hash.startsWith(SHARE_HASH_PREFIX) && hash.length > SHARE_HASH_PREFIX.length) {
+            return hash.substring(SHARE_HASH_PREFIX.length);
+        }
+        return false;
+    }
     
     /**
      * Updates the navigation history with the new view.
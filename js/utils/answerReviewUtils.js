@@ -0,0 +1,58 @@
+/**
+ * Builds the answer review table of the end dialogs from the answer log a game keeps
+ * (see BaseGameMode._recordAnswer): one row per answer with the question, the given
+ * answer, the correct answer, the time taken and the points (base plus time bonus).
+ */
+import { getTextTemplate } from './miscUtils.js';
+import { isImageReference, createImageElement } from './imageUtils.js';
+
+/**
+ * Creates a table cell showing a text or an image reference.
+ * @param {string} value
+ * @returns {HTMLTableCellElement}
+ */
+function createCell(value) {
+    const cell = document.createElement('td');
+    if (isImageReference(value)) {
+        cell.appendChild(createImageElement(value));
+    } else {
+        cell.textContent = value ?? '';
+    }
+    return cell;
+}
+
+/**
+ * Formats a duration as seconds with one decimal, in the page language ("3,2 s" in Dutch).
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatSeconds(ms) {
+    const seconds = (Number(ms) || 0) / 1000;
+    const text = seconds.toLocaleString(document.documentElement.lang || undefined, { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    return `${text} s`;
+}
+
+/**
+ * Creates the rows of the answer review table. Rows are marked 'review-correct' or 'review-wrong';
+ * an answer given too late shows the 'answerReviewTimedOut' text.
+ * @param {Array<{question: object, submittedAnswer: string|null, correctAnswer: string, isCorrect: boolean, timedOut: boolean, elapsedMs: number, points: number, basePoints: number, timeBonus: number}>} answerLog
+ * @returns {HTMLTableRowElement[]}
+ */
+export function createAnswerReviewRows(answerLog) {
+    return answerLog.map(entry => {
+        const row = document.createElement('tr');
+        row.classList.add(entry.isCorrect ? 'review-correct' : 'review-wrong');
+        const givenAnswer = entry.timedOut ? getTextTemplate('answerReviewTimedOut') : entry.submittedAnswer;
+        const points = entry.timeBonus > 0 ? `${entry.basePoints} + ${entry.timeBonus}` : `${entry.points}`;
+        row.append(
+            createCell(entry.question.question),
+            createCell(givenAnswer),
+            createCell(entry.correctAnswer),
+            createCell(formatSeconds(entry.elapsedMs)),
+            createCell(points)
+        );
+        return row;
+    });
+}
+
+export default { formatSeconds, createAnswerReviewRows };
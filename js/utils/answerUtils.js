@@ -0,0 +1,199 @@
+/**
+ * Checks whether a punctuation character is part of a number: a minus sign in front of
+ * a number ("-12"), or a decimal or fraction sign between digits ("1.5", "0,5", "1/2").
+ * @param {string} char - The punctuation character.
+ * @param {number} offset - Its position in the text.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isNumberPunctuation(char, offset, text) {
+    const previous = text[offset - 1] || '';
+    const next = text[offset + 1] || '';
+    if (char === '-') {
+        return /\d/.test(next) && (previous === '' || /\s/.test(previous));
+    }
+    return /[.,/]/.test(char) && /\d/.test(previous) && /\d/.test(next);
+}
+
+/**
+ * Normalizes an answer for tolerant comparison.
+ * Lowercases, strips accents (é => e), removes punctuation and collapses whitespace,
+ * so "'s-Hertogenbosch" and "s hertogenbosch" compare equal. Signs and separators
+ * of numbers are kept, so "-12" stays different from "12" and "1.5" from "15".
+ * @param {string} text - The raw answer text.
+ * @returns {string} The normalized answer.
+ */
+export function normalizeAnswer(text) {
+    if (typeof text !== 'string') return '';
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Combining accent marks left over by NFD
+        .toLowerCase()
+        .replace(/\u2212/g, '-') // Typographic minus sign
+        .replace(/(^|\s)-\s+(?=\d)/g, '$1-') // "- 3" is "-3"
+        .replace(/[^\p{L}\p{N}\s]/gu, (char, offset, source) => (isNumberPunctuation(char, offset, source) ? char : ' '))
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Calculates the Levenshtein (edit) distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Number of single character insertions, deletions or substitutions needed.
+ */
+export function levenshteinDistance(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previousRow = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const currentRow = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const substitutionCost = a[i - 1] === b[j - 1] ? 0 : 1;
+            currentRow[j] = Math.min(
+                previousRow[j] + 1,
+                currentRow[j - 1] + 1,
+                previousRow[j - 1] + substitutionCost
+            );
+        }
+        previousRow = currentRow;
+    }
+    return previousRow[b.length];
+}
+
+/**
+ * Returns how many typos are forgiven for an answer of the given (normalized) length.
+ * Short answers and numbers must be exact: "56" vs "57" is simply wrong.
+ * @param {string} normalizedAnswer
+ * @returns {number}
+ */
+export function getTypoThreshold(normalizedAnswer) {
+    if (/^[-\d\s.,/]+$/.test(normalizedAnswer) || normalizedAnswer.length <= 3) {
+        return 0;
+    }
+    return normalizedAnswer.length <= 7 ? 1 : 2;
+}
+
+/**
+ * Compares a submitted answer with the expected answer.
+ * Two numbers with a different value are always wrong, even when the text is nearly
+ * the same: "-5" is not "5" and "1.5" is not "15".
+ * @param {string} submittedAnswer - What the player chose or typed.
+ * @param {string} expectedAnswer - The correct answer from the sheet.
+ * @param {boolean} [allowTypos=false] - Whether small typos count as (almost) correct.
+ * @returns {'exact'|'almost'|'wrong'}
+ */
+export function compareAnswers(submittedAnswer, expectedAnswer, allowTypos = false) {
+    const submitted = normalizeAnswer(submittedAnswer);
+    const expected = normalizeAnswer(expectedAnswer);
+    if (!submitted || !expected) {
+        return 'wrong';
+    }
+    const submittedValue = parseNumericValue(submittedAnswer);
+    const expectedValue = parseNumericValue(expectedAnswer);
+    if (submittedValue !== null && expectedValue !== null && !isSameValue(submittedValue, expectedValue)) {
+        return 'wrong';
+    }
+    if (submitted === expected) {
+        return 'exact';
+    }
+    if (allowTypos && levenshteinDistance(submitted, expected) <= getTypoThreshold(expected)) {
+        return 'almost';
+    }
+    return 'wrong';
+}
+
+/**
+ * Reads a plain number the way Dutch children write it: a decimal comma ("0,5"),
+ * dots between thousands ("1.000", "1.000.000,5") and a minus sign ("-3"). English
+ * thousands ("1,000,000") work as long as there is more than one comma.
+ * A single dot followed by exactly three digits separates thousands ("1.250" is 1250),
+ * any other single dot is a decimal point ("0.5", "2.75"), so English decimals work too.
+ * @param {string} text
+ * @returns {number|null} The value, or null if the text is not a number.
+ */
+function parseDecimalNumber(text) {
+    const match = /^([+-]?)(\d[\d.,]*|[.,]\d+)$/.exec(text);
+    if (!match) return null;
+    const [, sign, digits] = match;
+    const separators = digits.replace(/\d/g, '');
+    let integerPart = digits;
+    let fractionPart = '';
+
+    const lastSeparator = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+    const hasBothSeparators = separators.includes('.') && separators.includes(',');
+    const isSingleSeparator = separators.length === 1;
+    const isThousandsDot = isSingleSeparator && separators === '.' && /^[1-9]\d{0,2}\.\d{3}$/.test(digits);
+    if (hasBothSeparators || (isSingleSeparator && !isThousandsDot)) {
+        // The last separator is the decimal one, the others separate thousands
+        integerPart = digits.substring(0, lastSeparator);
+        fractionPart = digits.substring(lastSeparator + 1);
+        if (/[.,]/.test(fractionPart)) return null;
+    }
+    if (integerPart.length > 0 && /[.,]/.test(integerPart) && !/^\d{1,3}([.,]\d{3})+$/.test(integerPart)) {
+        return null; // Thousands separators must group by three: "1.00" and "12.34.5" are not numbers
+    }
+    if (/[.,]/.test(integerPart) && new Set(integerPart.replace(/\d/g, '')).size > 1) {
+        return null; // "1.000,000.5" mixes thousands separators
+    }
+
+    const value = Number(`${integerPart.replace(/[.,]/g, '') || '0'}.${fractionPart || '0'}`);
+    return sign === '-' ? -value : value;
+}
+
+/**
+ * Reads the numeric value of an answer, for sheets that compare answers by value.
+ * Understands decimal commas and thousands dots (see parseDecimalNumber), negative numbers,
+ * fractions ("1/2", "-3/4") and mixed numbers ("1 1/2"). Spaces around the parts don't matter.
+ * @param {string} text - The answer as written or typed.
+ * @returns {number|null} The value, or null if the answer is not a number.
+ */
+export function parseNumericValue(text) {
+    if (typeof text !== 'string') return null;
+    const cleaned = text.trim().replace(/[\u2212\u2013]/g, '-'); // Typographic minus signs
+    const mixedMatch = /^([+-]?)(\d+)\s+(\d+)\s*\/\s*(\d+)$/.exec(cleaned);
+    if (mixedMatch) {
+        const [, sign, whole, numerator, denominator] = mixedMatch;
+        if (Number(denominator) === 0) return null;
+        const value = Number(whole) + Number(numerator) / Number(denominator);
+        return sign === '-' ? -value : value;
+    }
+    const fractionMatch = /^(.+?)\s*\/\s*(.+)$/.exec(cleaned);
+    if (fractionMatch) {
+        const numerator = parseDecimalNumber(fractionMatch[1].replace(/\s+/g, ''));
+        const denominator = parseDecimalNumber(fractionMatch[2].replace(/\s+/g, ''));
+        if (numerator === null || denominator === null || denominator === 0) return null;
+        return numerator / denominator;
+    }
+    return parseDecimalNumber(cleaned.replace(/^([+-])\s+/, '$1'));
+}
+
+/**
+ * Checks whether two answers are the same number, e.g. "0,5", "0.5" and "1/2",
+ * or "1000" and "1.000". Tiny rounding differences ("1/3" vs "0,333...") don't count,
+ * but a rounded answer ("0,33") does not equal "1/3".
+ * @param {string} submittedAnswer
+ * @param {string} expectedAnswer
+ * @returns {boolean} False when either answer is not a number.
+ */
+export function isSameNumericValue(submittedAnswer, expectedAnswer) {
+    const submitted = parseNumericValue(submittedAnswer);
+    const expected = parseNumericValue(expectedAnswer);
+    if (submitted === null || expected === null) {
+        return false;
+    }
+    return isSameValue(submitted, expected);
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @returns {boolean} Whether the numbers are equal, ignoring tiny rounding differences.
+ */
+function isSameValue(a, b) {
+    return Math.abs(a - b) <= 1e-9 * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+export default { normalizeAnswer, levenshteinDistance, getTypoThreshold, compareAnswers, parseNumericValue, isSameNumericValue };
@@ -1,20 +1,82 @@
+const SEED_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I, so seeds are easy to copy by hand
+const SEED_LENGTH = 6;
+
+/**
+ * Creates a new random seed, a short code like 'K7QP3M' that can be written down and typed in again.
+ * @returns {string}
+ */
+function createSeed() {
+    return Array.from({ length: SEED_LENGTH }, () => SEED_CHARACTERS[Math.floor(Math.random() * SEED_CHARACTERS.length)]).join('');
+}
+
+/**
+ * Cleans up a seed typed by a player: trimmed and uppercase, so 'k7qp3m ' is the same seed as 'K7QP3M'.
+ * @param {string} [seed]
+ * @returns {string|null} The seed, or null if nothing is left.
+ */
+function normalizeSeed(seed) {
+    const normalized = String(seed ?? '').trim().toUpperCase();
+    return normalized || null;
+}
+
+/**
+ * Creates a random number generator that gives the same numbers for the same seed,
+ * a drop-in replacement for Math.random (mulberry32 seeded with a FNV-1a hash of the seed).
+ * @param {string} seed - Any text, e.g. from createSeed.
+ * @returns {function(): number} Returns numbers in [0, 1).
+ */
+function createSeededRandom(seed) {
+    let state = 0x811c9dc5;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.codePointAt(0), 0x01000193);
+    }
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Shuffles an array in place using the Fisher-Yates algorithm.
  * @template T
  * @param {T[]} array - The array to shuffle.
+ * @param {function(): number} [random=Math.random] - Random source; pass one from createSeededRandom for a reproducible order.
  * @returns {T[]} The shuffled array (the same array instance).
  */
-function shuffleArray(array) {
+function shuffleArray(array, random = Math.random) {
     if (!Array.isArray(array)) {
         console.warn("shuffleArray called with non-array:", array);
         return array; // Return input if not an array
     }
     for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [array[i], array[j]] = [array[j], array[i]]; // Swap elements
     }
     return array;
 }
 
+/**
+ * Picks items from several groups in turns, so each group gets an equal share.
+ * Groups that run out leave their turns to the others. Items are taken from the start of each group.
+ * @template T
+ * @param {T[][]} groups - The groups to pick from; not changed.
+ * @param {number} count - The number of items to pick.
+ * @returns {T[]} The picked items, at most `count`.
+ */
+function pickEvenly(groups, count) {
+    const queues = groups.map(group => [...group]);
+    const picked = [];
+    while (picked.length < count && queues.some(queue => queue.length > 0)) {
+        queues.forEach(queue => {
+            if (picked.length < count && queue.length > 0) {
+                picked.push(queue.shift());
+            }
+        });
+    }
+    return picked;
+}
+
 // Export as default object
-export default { shuffleArray }; 
\ No newline at end of file
+export default { shuffleArray, pickEvenly, createSeed, normalizeSeed, createSeededRandom }; 
\ No newline at end of file
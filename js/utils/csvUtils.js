@@ -0,0 +1,134 @@
+/**
+ * Reading and writing CSV/TSV files, for importing word lists from spreadsheets
+ * into custom sheets and exporting sheets back to a spreadsheet.
+ */
+
+const CSV_DELIMITERS = ['\t', ';', ','];
+
+/**
+ * Guesses the delimiter of a CSV/TSV file from its first line.
+ * Tabs win over semicolons (Dutch Excel) which win over commas.
+ * @param {string} text - The file contents.
+ * @returns {string} The delimiter.
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    let bestDelimiter = ',';
+    let bestCount = 0;
+    CSV_DELIMITERS.forEach(delimiter => {
+        const count = firstLine.split(delimiter).length - 1;
+        if (count > bestCount) {
+            bestDelimiter = delimiter;
+            bestCount = count;
+        }
+    });
+    return bestDelimiter;
+}
+
+/**
+ * Parses CSV/TSV text into rows of cells. Supports quoted cells with "" escapes
+ * and line breaks inside quotes. Empty rows are dropped.
+ * @param {string} text - The file contents.
+ * @param {string} [delimiter] - The cell delimiter; detected when omitted.
+ * @returns {string[][]} The rows.
+ */
+export function parseDelimitedText(text, delimiter = detectDelimiter(text)) {
+    const input = text.replace(/^\uFEFF/, ''); // Byte order mark from Excel
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Formats rows of cells as CSV, quoting cells where needed.
+ * @param {Array<Array<string>>} rows - The rows.
+ * @param {string} [delimiter=','] - The cell delimiter.
+ * @returns {string} The CSV text, with CRLF line endings like spreadsheets write them.
+ */
+export function formatDelimitedText(rows, delimiter = ',') {
+    return rows.map(cells => cells.map(value => {
+        const cell = String(value ?? '');
+        return /["\r\n]/.test(cell) || cell.includes(delimiter) || cell !== cell.trim()
+            ? `"${cell.replace(/"/g, '""')}"`
+            : cell;
+    }).join(delimiter)).join('\r\n');
+}
+
+/**
+ * Turns parsed rows into question objects using a column mapping.
+ * Rows without a question or answer are skipped.
+ * @param {string[][]} rows - Rows from parseDelimitedText (header row already removed).
+ * @param {object} mapping - Which columns hold what (0-based column indexes).
+ * @param {number} mapping.question - Column of the question.
+ * @param {number} mapping.answer - Column of the answer (may list alternatives separated by '|').
+ * @param {number[]} [mapping.distractors=[]] - Columns with wrong options.
+ * @returns {Array<{question: string, answer: string, distractors: string[]}>}
+ */
+export function rowsToQuestions(rows, { question, answer, distractors = [] }) {
+    return rows
+        .map(cells => ({
+            question: (cells[question] || '').trim(),
+            answer: (cells[answer] || '').trim(),
+            distractors: distractors.map(column => (cells[column] || '').trim()).filter(value => value)
+        }))
+        .filter(row => row.question && row.answer);
+}
+
+/**
+ * Turns question objects into CSV rows: question, answer (with alternatives separated
+ * by ' | ') and one column per wrong option. Importing the result with the default
+ * mapping gives the same questions back.
+ * @param {Array<{question: string, answer: string, alternatives?: string[], distractors?: string[]}>} questions
+ * @param {string[]} headers - Column titles: [question, answer, distractor]; the distractor title gets a number.
+ * @returns {string[][]} The rows, header row first.
+ */
+export function questionsToRows(questions, [questionHeader, answerHeader, distractorHeader]) {
+    const distractorColumns = Math.max(0, ...questions.map(q => (q.distractors || []).length));
+    const headerRow = [questionHeader, answerHeader];
+    for (let i = 1; i <= distractorColumns; i++) {
+        headerRow.push(`${distractorHeader} ${i}`);
+    }
+    const rows = questions.map(q => {
+        const distractors = q.distractors || [];
+        return [
+            q.question,
+            [q.answer, ...(q.alternatives || [])].join(' | '),
+            ...Array.from({ length: distractorColumns }, (_, i) => distractors[i] || '')
+        ];
+    });
+    return [headerRow, ...rows];
+}
+
+export default { detectDelimiter, parseDelimitedText, formatDelimitedText, rowsToQuestions, questionsToRows };
@@ -0,0 +1,84 @@
+/**
+ * Question direction: a sheet is normally asked as written ('forward', province → capital),
+ * but can also be asked the other way around ('reverse', capital → province) or with
+ * both directions shuffled together ('mixed').
+ */
+import { normalizeAnswer } from './answerUtils.js';
+
+export const QUESTION_DIRECTIONS = ['forward', 'reverse', 'mixed'];
+export const DEFAULT_QUESTION_DIRECTION = 'forward';
+
+/**
+ * Checks a direction value, falling back to 'forward' for anything unknown.
+ * @param {string} [direction]
+ * @returns {'forward'|'reverse'|'mixed'}
+ */
+export function normalizeDirection(direction) {
+    return QUESTION_DIRECTIONS.includes(direction) ? direction : DEFAULT_QUESTION_DIRECTION;
+}
+
+/**
+ * Swaps question and answer of one question. Every question in the set with the same
+ * answer is accepted as an answer too ("56 => 7 x 8 | 8 x 7"), and the wrong options
+ * written for the forward direction are dropped, so options come from the pool.
+ * An `id` gets the suffix ':reverse', so Leitner boxes and statistics keep the two
+ * directions apart.
+ * @param {object} question - The question as written in the sheet.
+ * @param {Map<string, string[]>} questionsByAnswer - Normalized answer to the questions that have it.
+ * @returns {object} The reversed question, marked with `isReversed`.
+ */
+function reverseQuestion(question, questionsByAnswer) {
+    const { id, distractors, alternatives, ...rest } = question;
+    const otherQuestions = (questionsByAnswer.get(normalizeAnswer(question.answer)) || [])
+        .filter(text => normalizeAnswer(text) !== normalizeAnswer(question.question));
+    return {
+        ...rest,
+        ...(id !== undefined && { id: `${id}:reverse` }),
+        question: question.answer,
+        answer: question.question,
+        alternatives: otherQuestions.length > 0 ? otherQuestions : undefined,
+        distractorStrategy: 'pool',
+        isReversed: true
+    };
+}
+
+/**
+ * Applies a direction to a list of questions.
+ * In reverse, questions that become identical ("56" for both 7 x 8 and 8 x 7) are asked once.
+ * In mixed, each question is reversed or not by a coin flip.
+ * @param {Array<object>} questions - Questions as written in their sheets.
+ * @param {'forward'|'reverse'|'mixed'} direction
+ * @param {function(): number} [random=Math.random] - Random source for 'mixed'.
+ * @returns {Array<object>} The questions to ask, in the original order.
+ */
+export function applyQuestionDirection(questions, direction, random = Math.random) {
+    const normalizedDirection = normalizeDirection(direction);
+    if (normalizedDirection === 'forward') {
+        return questions;
+    }
+
+    const questionsByAnswer = new Map();
+    questions.forEach(question => {
+        const key = normalizeAnswer(question.answer);
+        const texts = questionsByAnswer.get(key) || [];
+        if (!texts.some(text => normalizeAnswer(text) === normalizeAnswer(question.question))) {
+            texts.push(question.question);
+        }
+        questionsByAnswer.set(key, texts);
+    });
+
+    const askedReversed = new Set();
+    return questions.flatMap(question => {
+        if (normalizedDirection === 'mixed' && random() < 0.5) {
+            return [question];
+        }
+        const key = normalizeAnswer(question.answer);
+        if (askedReversed.has(key)) {
+            return [];
+        }
+        askedReversed.add(key);
+        return [reverseQuestion(question, questionsByAnswer)];
+    });
+}
+
+export default { QUESTION_DIRECTIONS, DEFAULT_QUESTION_DIRECTION, normalizeDirection, applyQuestionDirection };
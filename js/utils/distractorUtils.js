@@ -0,0 +1,56 @@
+import arrayUtils from './arrayUtils.js';
+
+/**
+ * Available distractor strategies, selectable per sheet:
+ * - 'author': wrong options written in the sheet (`56 ~ 54 ~ 48`), falling back to 'pool'.
+ * - 'pool': other answers from the loaded questions.
+ * - 'numeric': near misses of a numeric answer, falling back to 'pool'.
+ */
+export const DISTRACTOR_STRATEGIES = ['author', 'pool', 'numeric'];
+export const DEFAULT_DISTRACTOR_STRATEGY = 'author';
+
+/**
+ * Generates plausible wrong answers for a whole-number answer, so the right one
+ * can't be spotted just because the others are wildly off:
+ * - off-by-one-table: "7 x 8" gives 6 x 8 and 7 x 9 (48, 63, ...)
+ * - digit swaps: 56 gives 65
+ * - ±1 and ±10: 55, 57, 46, 66
+ * The same number with the other sign (5 for -5) is never offered.
+ * @param {string} questionText - The question, used to detect a multiplication.
+ * @param {string} correctAnswer - The correct answer.
+ * @param {number} [count=3] - Maximum number of distractors to return.
+ * @param {function(): number} [random=Math.random] - Random source for picking among the candidates.
+ * @returns {string[]} Distractors, empty when the answer is not a whole number.
+ */
+export function generateNumericDistractors(questionText, correctAnswer, count = 3, random = Math.random) {
+    const trimmedAnswer = correctAnswer.trim();
+    if (!/^-?\d+$/.test(trimmedAnswer)) {
+        return [];
+    }
+    const correct = parseInt(trimmedAnswer, 10);
+    const candidates = [];
+
+    const multiplication = questionText.match(/(-?\d+)\s*[x×*]\s*(-?\d+)/i);
+    if (multiplication) {
+        const a = parseInt(multiplication[1], 10);
+        const b = parseInt(multiplication[2], 10);
+        candidates.push((a - 1) * b, (a + 1) * b, a * (b - 1), a * (b + 1));
+    }
+
+    const digits = String(Math.abs(correct));
+    if (digits.length >= 2) {
+        const swapped = digits.slice(0, -2) + digits.slice(-1) + digits.slice(-2, -1);
+        if (!swapped.startsWith('0')) {
+            candidates.push(Math.sign(correct) * parseInt(swapped, 10));
+        }
+    }
+
+    candidates.push(correct - 1, correct + 1, correct - 10, correct + 10);
+
+    const distractors = [...new Set(candidates)]
+        .filter(candidate => candidate !== correct && candidate !== -correct && (correct < 0 || candidate >= 0))
+        .map(String);
+    return arrayUtils.shuffleArray(distractors, random).slice(0, count);
+}
+
+export default { DISTRACTOR_STRATEGIES, DEFAULT_DISTRACTOR_STRATEGY, generateNumericDistractors };
@@ -0,0 +1,94 @@
+/**
+ * Image references in sheets: a question, answer or distractor written as `img:<path>`
+ * is shown as a picture instead of text, e.g. `img:vlaggen/nl.png => Nederland`.
+ * Paths are relative to the sheet file; absolute paths, URLs and data URLs are used as-is.
+ */
+export const IMAGE_PREFIX = 'img:';
+
+const inlinedImageCache = new Map(); // Resolved path -> 'img:data:...' reference
+
+/**
+ * Checks whether a sheet value refers to an image.
+ * @param {string} value - A question, answer or distractor.
+ * @returns {boolean}
+ */
+export function isImageReference(value) {
+    return typeof value === 'string' && value.startsWith(IMAGE_PREFIX) && value.length > IMAGE_PREFIX.length;
+}
+
+/**
+ * Returns the image source (path, URL or data URL) of an image reference.
+ * @param {string} value - An `img:` reference.
+ * @returns {string}
+ */
+export function getImageSource(value) {
+    return value.substring(IMAGE_PREFIX.length).trim();
+}
+
+/**
+ * Resolves a relative image reference against the location of the sheet it came from,
+ * so `img:vlaggen/nl.png` in `./sheets/landen.txt` becomes `img:./sheets/vlaggen/nl.png`.
+ * Values that are not image references are returned unchanged.
+ * @param {string} value - A question, answer or distractor.
+ * @param {string} sheetPath - Path of the sheet file, e.g. './hoofdsteden.txt'.
+ * @returns {string}
+ */
+export function resolveImageReference(value, sheetPath) {
+    if (!isImageReference(value)) return value;
+    const source = getImageSource(value);
+    if (/^([a-z][a-z\d+.-]*:|\/)/i.test(source)) {
+        return value; // Absolute path, URL or data URL
+    }
+    const sheetDirectory = sheetPath.substring(0, sheetPath.lastIndexOf('/') + 1);
+    return `${IMAGE_PREFIX}${sheetDirectory}${source}`;
+}
+
+/**
+ * Replaces an image reference by one holding the image as a data URL, so peers
+ * that don't have the file (multiplayer clients) can still show it.
+ * Falls back to the original reference if the image can't be fetched.
+ * @param {string} value - A question, answer or distractor.
+ * @returns {Promise<string>}
+ */
+export async function inlineImageReference(value) {
+    if (!isImageReference(value)) return value;
+    const source = getImageSource(value);
+    if (source.startsWith('data:')) return value;
+    if (inlinedImageCache.has(source)) return inlinedImageCache.get(source);
+
+    try {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status} for ${source}`);
+        }
+        const blob = await response.blob();
+        const dataUrl = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+        const inlinedValue = `${IMAGE_PREFIX}${dataUrl}`;
+        inlinedImageCache.set(source, inlinedValue);
+        return inlinedValue;
+    } catch (error) {
+        console.warn(`[imageUtils] Could not inline image '${source}', sending the reference instead:`, error);
+        return value;
+    }
+}
+
+/**
+ * Creates an <img> element for an image reference.
+ * @param {string} value - An `img:` reference.
+ * @param {string} [altText=''] - Alternative text for screen readers.
+ * @returns {HTMLImageElement}
+ */
+export function createImageElement(value, altText = '') {
+    const image = document.createElement('img');
+    image.src = getImageSource(value);
+    image.alt = altText;
+    image.draggable = false;
+    return image;
+}
+
+export default { IMAGE_PREFIX, isImageReference, getImageSource, resolveImageReference, inlineImageReference, createImageElement };
@@ -0,0 +1,143 @@
+/**
+ * Procedural question generators that can be declared in config.json next to static sheets:
+ *
+ *     { "generator": "multiplication", "id": "tafels-mix", "name": "Tafels 1 t/m 12", "to": 12, "upTo": 12 }
+ *
+ * Each generator takes the config entry as options and returns an array of
+ * { question, answer } objects, just like a parsed category from a .txt sheet.
+ * Random generators draw from the given random source, so a seeded one gives the same questions.
+ */
+
+const DEFAULT_RANDOM_COUNT = 30;
+
+/**
+ * Returns a random integer between min and max (both inclusive).
+ * @param {number} min
+ * @param {number} max
+ * @param {function(): number} random - Random source, e.g. Math.random.
+ * @returns {number}
+ */
+function randomInt(min, max, random) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Keeps drawing questions until `count` unique ones are found (or attempts run out).
+ * @param {number} count - Number of questions wanted.
+ * @param {function(): ({question: string, answer: string}|null)} drawQuestion - Returns a candidate, or null to reject it.
+ * @returns {Array<{question: string, answer: string}>}
+ */
+function drawUniqueQuestions(count, drawQuestion) {
+    const questions = new Map();
+    let attempts = 0;
+    while (questions.size < count && attempts < count * 50) {
+        attempts++;
+        const candidate = drawQuestion();
+        if (candidate && !questions.has(candidate.question)) {
+            questions.set(candidate.question, candidate);
+        }
+    }
+    return [...questions.values()];
+}
+
+/**
+ * Multiplication tables: every "i x table" for tables `from`..`to` and i 1..`upTo`.
+ * @param {object} options
+ * @param {number} [options.from=1] - First table.
+ * @param {number} [options.to=10] - Last table.
+ * @param {number} [options.upTo=10] - Highest multiplier within a table.
+ * @returns {Array<{question: string, answer: string}>}
+ */
+function multiplication({ from = 1, to = 10, upTo = 10 }) {
+    const questions = [];
+    for (let table = from; table <= to; table++) {
+        for (let i = 1; i <= upTo; i++) {
+            questions.push({ question: `${i} x ${table}`, answer: String(i * table) });
+        }
+    }
+    return questions;
+}
+
+/**
+ * Division without remainder, the reverse of the multiplication tables: "56 : 8 => 7".
+ * @param {object} options
+ * @param {number} [options.from=1] - Smallest divisor.
+ * @param {number} [options.to=10] - Largest divisor.
+ * @param {number} [options.upTo=10] - Largest quotient.
+ * @returns {Array<{question: string, answer: string}>}
+ */
+function division({ from = 1, to = 10, upTo = 10 }) {
+    const questions = [];
+    for (let divisor = from; divisor <= to; divisor++) {
+        for (let quotient = 1; quotient <= upTo; quotient++) {
+            questions.push({ question: `${divisor * quotient} : ${divisor}`, answer: String(quotient) });
+        }
+    }
+    return questions;
+}
+
+/**
+ * Random additions with a sum of at most `max`.
+ * @param {object} options
+ * @param {number} [options.max=100] - Largest possible sum.
+ * @param {boolean} [options.carry] - true: units always carry over (8 + 5), false: never; omit for both.
+ * @param {number} [options.count=30] - Number of questions.
+ * @param {function(): number} [random=Math.random] - Random source.
+ * @returns {Array<{question: string, answer: string}>}
+ */
+function addition({ max = 100, carry, count = DEFAULT_RANDOM_COUNT }, random = Math.random) {
+    return drawUniqueQuestions(count, () => {
+        const a = randomInt(1, max - 1, random);
+        const b = randomInt(1, max - a, random);
+        const hasCarry = (a % 10) + (b % 10) >= 10;
+        if (carry !== undefined && hasCarry !== carry) return null;
+        return { question: `${a} + ${b}`, answer: String(a + b) };
+    });
+}
+
+/**
+ * Random subtractions with a non-negative result, starting from at most `max`.
+ * @param {object} options
+ * @param {number} [options.max=100] - Largest number to subtract from.
+ * @param {boolean} [options.borrow] - true: units always borrow (42 - 17), false: never; omit for both.
+ * @param {number} [options.count=30] - Number of questions.
+ * @param {function(): number} [random=Math.random] - Random source.
+ * @returns {Array<{question: string, answer: string}>}
+ */
+function subtraction({ max = 100, borrow, count = DEFAULT_RANDOM_COUNT }, random = Math.random) {
+    return drawUniqueQuestions(count, () => {
+        const a = randomInt(2, max, random);
+        const b = randomInt(1, a - 1, random);
+        const hasBorrow = (a % 10) < (b % 10);
+        if (borrow !== undefined && hasBorrow !== borrow) return null;
+        return { question: `${a} - ${b}`, answer: String(a - b) };
+    });
+}
+
+/**
+ * Registered generators, keyed by the `generator` value used in config.json.
+ * `defaultName` is the category name when the config entry has no `name`.
+ */
+export const QUESTION_GENERATORS = {
+    multiplication: { generate: multiplication, defaultName: 'Tafels door elkaar' },
+    division: { generate: division, defaultName: 'Delen zonder rest' },
+    addition: { generate: addition, defaultName: 'Optellen' },
+    subtraction: { generate: subtraction, defaultName: 'Aftrekken' }
+};
+
+/**
+ * Runs the generator declared by a config.json entry.
+ * @param {object} entry - The config entry, e.g. { generator: 'addition', max: 100, carry: true }.
+ * @param {function(): number} [random=Math.random] - Random source; pass one from createSeededRandom for the same questions every time.
+ * @returns {Array<{question: string, answer: string}>} The generated questions.
+ * @throws {Error} If the generator type is unknown.
+ */
+export function generateQuestions(entry, random = Math.random) {
+    const generator = QUESTION_GENERATORS[entry.generator];
+    if (!generator) {
+        throw new Error(`Unknown question generator '${entry.generator}'.`);
+    }
+    return generator.generate(entry, random);
+}
+
+export default { QUESTION_GENERATORS, generateQuestions };
@@ -0,0 +1,98 @@
+/**
+ * Sharing a custom sheet as a self-contained link: the sheet is stored as a JSON sheet
+ * (see sheetFormats.js), deflate-compressed and base64url-encoded in the URL fragment,
+ * e.g. `https://.../index.html#sheet=7ZRNb...`. The fragment is never sent to a server.
+ */
+import { toJsonSheet, parseJsonSheet, groupQuestionsByCategory } from './sheetFormats.js';
+
+export const SHARE_HASH_PREFIX = '#sheet=';
+const COMPRESSION_FORMAT = 'deflate-raw';
+
+/**
+ * Pipes bytes through a CompressionStream or DecompressionStream.
+ * @param {Uint8Array} bytes
+ * @param {CompressionStream|DecompressionStream} transform
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encodes bytes as base64url (URL-safe, without padding).
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes base64url text back to bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} If the text is not valid base64url.
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Encodes a sheet for use in a share link. Questions with a `category` become categories of the JSON sheet.
+ * @param {object} sheet
+ * @param {string} sheet.name - The sheet name.
+ * @param {Array<{question: string, answer: string, alternatives?: string[], distractors?: string[], category?: string}>} sheet.questions
+ * @param {'text'|'value'} [sheet.answerCheck] - How answers are compared; stored as sheet metadata.
+ * @returns {Promise<string>} The encoded sheet, without the '#sheet=' prefix.
+ */
+export async function encodeSheetForUrl({ name, questions, answerCheck }) {
+    const metadata = answerCheck ? { title: name, answerCheck } : { title: name };
+    const json = JSON.stringify(toJsonSheet(metadata, groupQuestionsByCategory(questions, name)));
+    const compressed = await transformBytes(new TextEncoder().encode(json), new CompressionStream(COMPRESSION_FORMAT));
+    return toBase64Url(compressed);
+}
+
+/**
+ * Decodes a sheet from a share link. A sheet with categories comes back as one list of
+ * questions that carry their `category`, like custom sheets store them.
+ * @param {string} encodedSheet - The encoded sheet, without the '#sheet=' prefix.
+ * @returns {Promise<{name: string, questions: Array<{question: string, answer: string, alternatives?: string[], distractors?: string[], category?: string}>, answerCheck?: string}>}
+ * @throws {Error} If the link is damaged or does not contain a valid sheet with questions.
+ */
+export async function decodeSheetFromUrl(encodedSheet) {
+    const bytes = await transformBytes(fromBase64Url(encodedSheet), new DecompressionStream(COMPRESSION_FORMAT));
+    const { metadata, categories } = parseJsonSheet(JSON.parse(new TextDecoder().decode(bytes)), 'shared sheet');
+    const entries = Object.entries(categories);
+    if (entries.length === 0) {
+        throw new Error('Shared sheet contains no questions.');
+    }
+    const name = metadata.title || entries[0][0];
+    const { answerCheck } = metadata;
+    if (entries.length === 1 && entries[0][0] === name) {
+        return { name, questions: entries[0][1], answerCheck };
+    }
+    // Questions in the category named after the sheet had no category of their own
+    const questions = entries.flatMap(([category, categoryQuestions]) =>
+        categoryQuestions.map(question => (category === name ? question : { ...question, category })));
+    return { name, questions, answerCheck };
+}
+
+/**
+ * Builds a share link for a sheet that opens this app.
+ * @param {{name: string, questions: Array<object>}} sheet
+ * @param {string} [baseUrl=window.location.href] - The app URL; its query and fragment are dropped.
+ * @returns {Promise<string>}
+ */
+export async function createShareUrl(sheet, baseUrl = window.location.href) {
+    const url = new URL(baseUrl);
+    url.search = '';
+    url.hash = '';
+    return `${url.href}${SHARE_HASH_PREFIX}${await encodeSheetForUrl(sheet)}`;
+}
+
+export default { SHARE_HASH_PREFIX, encodeSheetForUrl, decodeSheetFromUrl, createShareUrl };
@@ -0,0 +1,724 @@
+import { IMAGE_PREFIX, isImageReference, getImageSource, resolveImageReference } from './imageUtils.js';
+
+/**
+ * Parsing and conversion of the two sheet formats. Both load into the same structure:
+ * `{ metadata, categories: { "Category title": [question, ...] } }` where a question is
+ * `{ question, answer, alternatives?, distractors?, tags?, id?, explanation?, answerCheck? }`.
+ * `answerCheck` is only set on questions of a category that chose its own answer check.
+ *
+ * The .txt format:
+ *
+ *     ---
+ *     title: Tafels
+ *     ---
+ *     Tafel van 7:
+ *         7 x 8 => 56 ~ 54 ~ 63 #lastig ## 7 x 8 = 7 x 7 + 7
+ *
+ *     Breuken:
+ *         answerCheck: value
+ *         de helft van 1 => 1/2
+ *
+ * The .json format:
+ *
+ *     {
+ *       "format": "unicornpoep-sheet", "version": 1,
+ *       "metadata": { "title": "Tafels" },
+ *       "categories": [
+ *         { "title": "Tafel van 7", "questions": [
+ *           { "id": "7x8", "question": "7 x 8", "answer": "56", "distractors": ["54", "63"], "tags": ["lastig"], "explanation": "7 x 8 = 7 x 7 + 7" }
+ *         ] },
+ *         { "title": "Breuken", "answerCheck": "value", "questions": [
+ *           { "question": "de helft van 1", "answer": "1/2" }
+ *         ] }
+ *       ]
+ *     }
+ *
+ * In JSON, any question, answer, alternative or distractor can be media instead of text:
+ * `{ "image": "vlaggen/nl.png" }`, the equivalent of `img:vlaggen/nl.png` in a .txt sheet.
+ *
+ * The parsers don't stop at the first mistake: they return every problem they find as a
+ * SheetProblem, skip the lines that have errors and keep the rest.
+ * This module has no DOM dependencies, so the converter in tools/ can use it too.
+ */
+
+export const ANSWER_ALTERNATIVE_SEPARATOR = '|'; // "Den Haag | 's-Gravenhage"
+export const DISTRACTOR_SEPARATOR = '~'; // "7 x 8 => 56 ~ 54 ~ 48 ~ 63"
+export const EXPLANATION_SEPARATOR = '##'; // "8 x 7 => 56 ## 8 x 7 = 8 x 5 + 8 x 2"
+export const TAG_PREFIX = '#'; // "8 x 7 => 56 #lastig #hoofdrekenen"
+const TRAILING_TAGS_PATTERN = /(?:\s+#[\p{L}\p{N}_-]+)+\s*$/u; // Tags close the answer part, each after a space
+export const SHEET_HEADER_DELIMITER = '---'; // Optional "key: value" header block at the top of a .txt sheet
+export const SHEET_METADATA_KEYS = ['title', 'author', 'language', 'grade', 'description', 'version', 'answerMode', 'answerCheck'];
+export const ANSWER_MODES = ['choice', 'typed'];
+export const ANSWER_CHECKS = ['text', 'value']; // 'value' compares numbers by value: "0,5" = "0.5" = "1/2"
+export const DEFAULT_ANSWER_CHECK = 'text';
+const CATEGORY_ANSWER_CHECK_PATTERN = /^answerCheck\s*:\s*(.*)$/; // "answerCheck: value" below a category title
+export const JSON_SHEET_FORMAT = 'unicornpoep-sheet';
+export const JSON_SHEET_VERSION = 1;
+
+/**
+ * A problem found while parsing a sheet. Lines (or JSON questions) with an error are
+ * skipped; lines with a warning are kept.
+ * @typedef {object} SheetProblem
+ * @property {string} code - What is wrong, one of the keys of SHEET_PROBLEMS. The UI translates by code.
+ * @property {'error'|'warning'} severity
+ * @property {number|null} line - 1-based line number in the file, null for JSON sheets.
+ * @property {number|null} column - 1-based column where the problem starts, null for JSON sheets.
+ * @property {string} content - The offending line, or the location in a JSON sheet ('categories[0].questions[3]').
+ * @property {string} message - What is wrong, in English.
+ * @property {string} suggestion - How to fix it, in English.
+ */
+
+/** Known problems with their severity, description and suggested fix. */
+export const SHEET_PROBLEMS = {
+    'missing-separator': { severity: 'error', message: "No '=>' between question and answer.", suggestion: "Write the line as 'question => answer'." },
+    'empty-question': { severity: 'error', message: 'The question is empty.', suggestion: "Put the question before '=>'." },
+    'empty-answer': { severity: 'error', message: 'The answer is empty.', suggestion: "Put the answer after '=>'." },
+    'extra-separator': { severity: 'warning', message: "'=>' appears more than once; everything after the first one is part of the answer.", suggestion: "Remove the extra '=>'." },
+    'empty-alternative': { severity: 'warning', message: "Empty answer between '|' signs.", suggestion: "Remove the extra '|'." },
+    'empty-distractor': { severity: 'warning', message: "Empty wrong option between '~' signs.", suggestion: "Remove the extra '~'." },
+    'empty-explanation': { severity: 'warning', message: "Nothing after '##'.", suggestion: "Write the explanation after '##', or remove the '##'." },
+    'distractor-is-answer': { severity: 'warning', message: 'A wrong option is the same as a correct answer and is left out.', suggestion: 'Remove or change the wrong option.' },
+    'duplicate-question': { severity: 'warning', message: 'This question already appears earlier in the same list.', suggestion: 'Remove one of the two.' },
+    'empty-title': { severity: 'error', message: 'Category without a title; its questions are skipped.', suggestion: "Start the category with a title line, e.g. 'Tafel van 7:'." },
+    'header-not-closed': { severity: 'warning', message: "The header starts with '---' but is never closed; it is read as questions.", suggestion: "Add a '---' line after the last header line." },
+    'header-missing-colon': { severity: 'warning', message: "Header line without ':' is ignored.", suggestion: "Write header lines as 'key: value'." },
+    'unknown-answer-check': { severity: 'warning', message: 'Unknown answerCheck is ignored.', suggestion: "Use 'answerCheck: text' or 'answerCheck: value'." },
+    'invalid-question': { severity: 'error', message: 'Question without a question or answer is skipped.', suggestion: 'Give the question both a "question" and an "answer".' }
+};
+
+/**
+ * Creates a SheetProblem.
+ * @param {string} code - A key of SHEET_PROBLEMS.
+ * @param {number|null} line - 1-based line number.
+ * @param {number|null} column - 1-based column.
+ * @param {string} content - The offending line or JSON location.
+ * @returns {SheetProblem}
+ */
+function createProblem(code, line, column, content) {
+    return { code, ...SHEET_PROBLEMS[code], line, column, content };
+}
+
+/**
+ * Formats a problem for logs and command line tools, e.g.
+ * "line 12, column 9: error: The answer is empty. Put the answer after '=>'."
+ * @param {SheetProblem} problem
+ * @returns {string}
+ */
+export function formatSheetProblem(problem) {
+    const location = problem.line !== null ? `line ${problem.line}, column ${problem.column}` : problem.content;
+    return `${location}: ${problem.severity}: ${problem.message} ${problem.suggestion}`;
+}
+
+/**
+ * Checks whether a list of problems contains errors (not just warnings).
+ * @param {SheetProblem[]} problems
+ * @returns {boolean}
+ */
+export function hasSheetErrors(problems) {
+    return problems.some(problem => problem.severity === 'error');
+}
+
+/**
+ * Normalizes a tag: without the leading '#', lowercase, so '#Lastig' and 'lastig' are the same tag.
+ * @param {string} tag
+ * @returns {string} The tag, or '' if nothing is left.
+ */
+export function normalizeTag(tag) {
+    return String(tag).trim().replace(/^#+/, '').toLowerCase();
+}
+
+/**
+ * Finds where the '#tag' words at the end of the answer part of a line start.
+ * @param {string} text - The answer part, without the explanation.
+ * @returns {{index: number, tags: string[]}} Index where the tags start (text.length if there are none) and the normalized tags.
+ */
+function findTrailingTags(text) {
+    // An answer that starts with '#' ("Nummer één => #1") is not a tag
+    const leadingSpace = text.length - text.trimStart().length;
+    const match = text.substring(leadingSpace).match(TRAILING_TAGS_PATTERN);
+    if (!match) return { index: text.length, tags: [] };
+    const tags = [...new Set(match[0].trim().split(/\s+/).map(normalizeTag).filter(tag => tag))];
+    return { index: leadingSpace + match.index, tags };
+}
+
+/**
+ * Builds a question object from the two halves of a "Vraag => Antwoord" line.
+ * The answer half may list several accepted answers separated by '|', e.g.
+ * "Den Haag | 's-Gravenhage". The first one is the canonical answer shown in feedback,
+ * the others are stored as `alternatives`.
+ * Wrong options for multiple choice can follow after '~', e.g. "56 ~ 54 ~ 48 ~ 63".
+ * Tags can follow as '#word's, e.g. "56 ~ 54 #lastig #hoofdrekenen".
+ * An explanation of the answer can close the line after '##', e.g. "56 ## 8 x 7 = 8 x 5 + 8 x 2".
+ * Any part but the tags and explanation can be an image (`img:vlaggen/nl.png`), resolved relative to `sheetPath` when given.
+ * @param {string} question - The (trimmed) question text.
+ * @param {string} answerText - The raw text after '=>'.
+ * @param {string} [sheetPath] - Path of the sheet file the line came from.
+ * @returns {{question: string, answer: string, alternatives?: string[], distractors?: string[], tags?: string[], explanation?: string}} The answer is empty if none was given.
+ */
+export function createQuestion(question, answerText, sheetPath) {
+    const resolve = value => (sheetPath ? resolveImageReference(value, sheetPath) : value);
+    const explanationIndex = answerText.indexOf(EXPLANATION_SEPARATOR);
+    const explanation = explanationIndex === -1 ? '' : answerText.substring(explanationIndex + EXPLANATION_SEPARATOR.length).trim();
+    const textBeforeExplanation = explanationIndex === -1 ? answerText : answerText.substring(0, explanationIndex);
+    const { index: tagsIndex, tags } = findTrailingTags(textBeforeExplanation);
+    const [answersText, ...distractorParts] = textBeforeExplanation.substring(0, tagsIndex).split(DISTRACTOR_SEPARATOR);
+    const answers = answersText.split(ANSWER_ALTERNATIVE_SEPARATOR)
+        .map(answer => resolve(answer.trim()))
+        .filter(answer => answer);
+    const distractors = distractorParts
+        .map(distractor => resolve(distractor.trim()))
+        .filter(distractor => distractor);
+
+    const questionObject = { question: resolve(question), answer: answers[0] || '' };
+    if (answers.length > 1) {
+        questionObject.alternatives = answers.slice(1);
+    }
+    if (distractors.length > 0) {
+        questionObject.distractors = distractors;
+    }
+    if (tags.length > 0) {
+        questionObject.tags = tags;
+    }
+    if (explanation) {
+        questionObject.explanation = explanation;
+    }
+    return questionObject;
+}
+
+/**
+ * Formats a question object back into a "Vraag => Antwoord | Alternatief ~ Fout #tag ## Uitleg" line.
+ * @param {{question: string, answer: string, alternatives?: string[], distractors?: string[], tags?: string[], explanation?: string}} question
+ * @returns {string}
+ */
+export function formatQuestionLine(question) {
+    const answers = [question.answer, ...(question.alternatives || [])].join(` ${ANSWER_ALTERNATIVE_SEPARATOR} `);
+    const distractors = (question.distractors || []).map(distractor => ` ${DISTRACTOR_SEPARATOR} ${distractor}`).join('');
+    const tags = (question.tags || []).map(tag => ` ${TAG_PREFIX}${tag}`).join('');
+    const explanation = question.explanation ? ` ${EXPLANATION_SEPARATOR} ${question.explanation}` : '';
+    return `${question.question} => ${answers}${distractors}${tags}${explanation}`;
+}
+
+/**
+ * Splits part of a line on a separator, remembering where each piece starts.
+ * @param {string} line - The whole line.
+ * @param {number} start - Index where the part starts.
+ * @param {number} end - Index where the part ends.
+ * @param {string} separator
+ * @returns {Array<{value: string, column: number}>} Trimmed pieces with the 1-based column of their first character.
+ */
+function splitWithColumns(line, start, end, separator) {
+    const pieces = [];
+    let pieceStart = start;
+    line.substring(start, end).split(separator).forEach(piece => {
+        const leadingSpace = piece.length - piece.trimStart().length;
+        pieces.push({ value: piece.trim(), column: pieceStart + leadingSpace + 1 });
+        pieceStart += piece.length + separator.length;
+    });
+    return pieces;
+}
+
+/**
+ * Parses one "Vraag => Antwoord | Alternatief ~ Fout #tag ## Uitleg" line and reports everything wrong with it.
+ * @param {string} line - The line as it appears in the file (columns count from its first character).
+ * @param {number} lineNumber - 1-based line number, for the problems.
+ * @param {string} [sheetPath] - Path of the sheet file; `img:` references are resolved relative to it.
+ * @returns {{question: ({question: string, answer: string, alternatives?: string[], distractors?: string[], tags?: string[], explanation?: string}|null), problems: SheetProblem[]}}
+ *          The question is null when the line has an error.
+ */
+export function parseQuestionLine(line, lineNumber, sheetPath) {
+    const content = line.trim();
+    const firstColumn = line.length - line.trimStart().length + 1;
+    const separatorIndex = line.indexOf('=>');
+    if (separatorIndex === -1) {
+        return { question: null, problems: [createProblem('missing-separator', lineNumber, firstColumn, content)] };
+    }
+
+    const problems = [];
+    const questionText = line.substring(0, separatorIndex).trim();
+    if (!questionText) {
+        problems.push(createProblem('empty-question', lineNumber, firstColumn, content));
+    }
+    const answerStart = separatorIndex + 2;
+    const explanationIndex = line.indexOf(EXPLANATION_SEPARATOR, answerStart);
+    const tagsEnd = explanationIndex === -1 ? line.length : explanationIndex;
+    const optionsEnd = answerStart + findTrailingTags(line.substring(answerStart, tagsEnd)).index;
+    const extraSeparatorIndex = line.indexOf('=>', answerStart);
+    if (extraSeparatorIndex !== -1 && extraSeparatorIndex < optionsEnd) {
+        problems.push(createProblem('extra-separator', lineNumber, extraSeparatorIndex + 1, content));
+    }
+    if (explanationIndex !== -1 && !line.substring(explanationIndex + EXPLANATION_SEPARATOR.length).trim()) {
+        problems.push(createProblem('empty-explanation', lineNumber, explanationIndex + 1, content));
+    }
+
+    const [answerPart, ...distractorParts] = splitWithColumns(line, answerStart, optionsEnd, DISTRACTOR_SEPARATOR);
+    const answerPieces = splitWithColumns(line, answerPart.column - 1, answerPart.column - 1 + answerPart.value.length, ANSWER_ALTERNATIVE_SEPARATOR);
+    const answers = answerPieces.filter(piece => piece.value);
+    if (answers.length === 0) {
+        problems.push(createProblem('empty-answer', lineNumber, answerStart + 1, content));
+    } else if (answers.length < answerPieces.length) {
+        const emptyPiece = answerPieces.find(piece => !piece.value);
+        problems.push(createProblem('empty-alternative', lineNumber, emptyPiece.column, content));
+    }
+
+    const answerValues = answers.map(piece => piece.value.toLowerCase());
+    distractorParts.forEach(piece => {
+        if (!piece.value) {
+            problems.push(createProblem('empty-distractor', lineNumber, piece.column, content));
+        } else if (answerValues.includes(piece.value.toLowerCase())) {
+            problems.push(createProblem('distractor-is-answer', lineNumber, piece.column, content));
+        }
+    });
+
+    if (hasSheetErrors(problems)) {
+        return { question: null, problems };
+    }
+    const question = createQuestion(questionText, line.substring(answerStart), sheetPath);
+    if (question.distractors) {
+        const correctAnswers = [question.answer, ...(question.alternatives || [])].map(value => value.toLowerCase());
+        question.distractors = question.distractors.filter(distractor => !correctAnswers.includes(distractor.toLowerCase()));
+        if (question.distractors.length === 0) delete question.distractors;
+    }
+    return { question, problems };
+}
+
+/**
+ * Reports questions that already appeared earlier in the same list.
+ * @param {Set<string>} seenQuestions - Questions of the list so far; updated.
+ * @param {object} question - The parsed question.
+ * @param {number} lineNumber
+ * @param {string} line
+ * @returns {SheetProblem|null}
+ */
+function checkDuplicateQuestion(seenQuestions, question, lineNumber, line) {
+    const key = question.question.toLowerCase();
+    if (seenQuestions.has(key)) {
+        return createProblem('duplicate-question', lineNumber, line.length - line.trimStart().length + 1, line.trim());
+    }
+    seenQuestions.add(key);
+    return null;
+}
+
+/**
+ * Returns the category title if a line of a custom sheet is a category header ("Tafel van 7:").
+ * @param {string} line
+ * @returns {string|null} The title, or null for other lines.
+ */
+function getCategoryHeaderTitle(line) {
+    const trimmedLine = line.trim();
+    if (!trimmedLine.endsWith(':') || trimmedLine.includes('=>')) return null;
+    return trimmedLine.slice(0, -1).trim() || null;
+}
+
+/**
+ * Parses the question lines of a custom sheet, like the custom questions editor produces.
+ * A line ending in ':' (without '=>') starts a category, like the title lines of a .txt sheet;
+ * the questions after it get its title as `category`. Questions before the first category
+ * header have no category. Empty lines and lines starting with '//' are ignored.
+ * @param {string} text - One question or category header per line.
+ * @param {string} [sheetPath] - Path to resolve `img:` references against.
+ * @returns {{questions: Array<{question: string, answer: string, alternatives?: string[], distractors?: string[], tags?: string[], explanation?: string, category?: string}>, problems: SheetProblem[]}}
+ */
+export function parseQuestionLines(text, sheetPath) {
+    const questions = [];
+    const problems = [];
+    let seenQuestions = new Set();
+    let category = null;
+    text.replace(/\r/g, '').split('\n').forEach((line, index) => {
+        const trimmedLine = line.trim();
+        if (!trimmedLine || trimmedLine.startsWith('//')) return;
+        const categoryTitle = getCategoryHeaderTitle(line);
+        if (categoryTitle) {
+            category = categoryTitle;
+            seenQuestions = new Set(questions.filter(q => q.category === category).map(q => q.question.toLowerCase()));
+            return;
+        }
+        const result = parseQuestionLine(line, index + 1, sheetPath);
+        problems.push(...result.problems);
+        if (!result.question) return;
+        const duplicate = checkDuplicateQuestion(seenQuestions, result.question, index + 1, line);
+        if (duplicate) problems.push(duplicate);
+        questions.push(category ? { ...result.question, category } : result.question);
+    });
+    return { questions, problems };
+}
+
+/**
+ * Formats the questions of a custom sheet as text that parseQuestionLines reads back,
+ * with a "Title:" header line before each category.
+ * @param {Array<{question: string, answer: string, alternatives?: string[], distractors?: string[], category?: string}>} questions
+ * @returns {string}
+ */
+export function formatQuestionLines(questions) {
+    const lines = [];
+    let category = null;
+    questions.forEach(question => {
+        if (question.category && question.category !== category) {
+            if (lines.length > 0) lines.push('');
+            lines.push(`${question.category}:`);
+        }
+        category = question.category || category;
+        lines.push(formatQuestionLine(question));
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Groups the questions of a custom sheet by their `category`, in order of first appearance.
+ * @param {Array<{category?: string}>} questions
+ * @param {string} defaultTitle - Title for questions without a category (usually the sheet name).
+ * @returns {Object.<string, Array<object>>} Category title to questions, without the `category` field.
+ */
+export function groupQuestionsByCategory(questions, defaultTitle) {
+    const categories = {};
+    questions.forEach(({ category, ...question }) => {
+        const title = category || defaultTitle;
+        (categories[title] = categories[title] || []).push(question);
+    });
+    return categories;
+}
+
+/**
+ * Checks whether any question of a custom sheet belongs to a category.
+ * @param {Array<{category?: string}>} questions
+ * @returns {boolean}
+ */
+export function hasQuestionCategories(questions) {
+    return Array.isArray(questions) && questions.some(question => question.category);
+}
+
+/**
+ * Picks the known metadata keys from a sheet header, JSON sheet or config entry.
+ * @param {object} values - Raw key/value pairs.
+ * @param {string} sheetIdForLogging - The sheet ID for warning messages.
+ * @returns {object} Metadata with only known, non-empty keys and a valid answerMode and answerCheck.
+ */
+export function pickSheetMetadata(values, sheetIdForLogging) {
+    const metadata = {};
+    SHEET_METADATA_KEYS.forEach(key => {
+        if (values[key] !== undefined && values[key] !== null && values[key] !== '') {
+            metadata[key] = String(values[key]);
+        }
+    });
+    if (metadata.answerMode && !ANSWER_MODES.includes(metadata.answerMode)) {
+        console.warn(`[sheetFormats] Unknown answerMode '${metadata.answerMode}' in sheet '${sheetIdForLogging}'. Expected one of: ${ANSWER_MODES.join(', ')}.`);
+        delete metadata.answerMode;
+    }
+    if (metadata.answerCheck && !ANSWER_CHECKS.includes(metadata.answerCheck)) {
+        console.warn(`[sheetFormats] Unknown answerCheck '${metadata.answerCheck}' in sheet '${sheetIdForLogging}'. Expected one of: ${ANSWER_CHECKS.join(', ')}.`);
+        delete metadata.answerCheck;
+    }
+    return metadata;
+}
+
+/**
+ * Splits the optional header block off a .txt sheet. The header sits between two '---' lines
+ * at the very top and holds "key: value" lines:
+ *
+ *     ---
+ *     title: Hoofdsteden
+ *     grade: groep 6
+ *     answerMode: typed
+ *     ---
+ *
+ * Known keys are title, author, language, grade, description, version, answerMode and answerCheck.
+ * @param {string} text - The raw sheet text.
+ * @param {string} sheetIdForLogging - The sheet ID for warning messages.
+ * @returns {{metadata: {title?: string, author?: string, language?: string, grade?: string, description?: string, version?: string, answerMode?: 'choice'|'typed', answerCheck?: 'text'|'value'}, body: string, bodyLineOffset: number, problems: SheetProblem[]}}
+ *          The metadata (empty without a header), the remaining sheet text, the number of lines before it and problems in the header.
+ */
+export function parseSheetHeader(text, sheetIdForLogging) {
+    const lines = text.replace(/\r/g, '').split('\n');
+    if (lines[0]?.trim() !== SHEET_HEADER_DELIMITER) {
+        return { metadata: {}, body: text, bodyLineOffset: 0, problems: [] };
+    }
+    const endIndex = lines.findIndex((line, index) => index > 0 && line.trim() === SHEET_HEADER_DELIMITER);
+    if (endIndex === -1) {
+        return { metadata: {}, body: text, bodyLineOffset: 0, problems: [createProblem('header-not-closed', 1, 1, lines[0].trim())] };
+    }
+
+    const headerValues = {};
+    const problems = [];
+    lines.slice(1, endIndex).forEach((line, index) => {
+        const separatorIndex = line.indexOf(':');
+        if (!line.trim() || line.trim().startsWith('//')) return;
+        if (separatorIndex === -1) {
+            problems.push(createProblem('header-missing-colon', index + 2, line.length - line.trimStart().length + 1, line.trim()));
+            return;
+        }
+        headerValues[line.substring(0, separatorIndex).trim()] = line.substring(separatorIndex + 1).trim();
+    });
+
+    return {
+        metadata: pickSheetMetadata(headerValues, sheetIdForLogging),
+        body: lines.slice(endIndex + 1).join('\n'),
+        bodyLineOffset: endIndex + 1,
+        problems
+    };
+}
+
+/**
+ * Parses the categories of a .txt sheet (without its header).
+ * Categories are separated by an empty line and start with a title line ("Tafel van 7:").
+ * Lines starting with '//' are comments. Lines with an error are skipped, the rest of
+ * their category is kept. An "answerCheck: value" line between the title and the first
+ * question sets the answer check of the category's questions.
+ * @param {string} text - The sheet text after the header.
+ * @param {string} [sheetPath] - Path of the sheet file; `img:` references are resolved relative to it.
+ * @param {number} [lineOffset=0] - Lines before `text` in the file (the header), for line numbers in problems.
+ * @returns {{categories: Object.<string, Array<{question: string, answer: string, alternatives?: string[], distractors?: string[], answerCheck?: 'text'|'value'}>>, problems: SheetProblem[]}}
+ *          Category title to question array, and every problem found.
+ */
+export function parseTxtCategories(text, sheetPath, lineOffset = 0) {
+    const lines = text.replace(/\r/g, '').split('\n');
+    const categories = {};
+    const problems = [];
+    let isBlockStart = true;
+    let title = null; // null while skipping a block without a usable title
+    let seenQuestions = new Set();
+    let answerCheck = null; // Set by an "answerCheck:" line of the current block
+    let hasBlockQuestions = false;
+
+    lines.forEach((line, index) => {
+        const lineNumber = lineOffset + index + 1;
+        if (line === '') {
+            isBlockStart = true; // An empty line ends the category
+            return;
+        }
+        if (isBlockStart) {
+            if (!line.trim()) return; // Whitespace before a title
+            isBlockStart = false;
+            title = line.trim().replace(/:$/, '').trim(); // Remove trailing colon if present
+            if (!title) {
+                problems.push(createProblem('empty-title', lineNumber, 1, line.trim()));
+                title = null;
+                return;
+            }
+            categories[title] = categories[title] || [];
+            seenQuestions = new Set(categories[title].map(question => question.question.toLowerCase()));
+            answerCheck = null;
+            hasBlockQuestions = false;
+            return;
+        }
+        if (title === null) return;
+
+        const trimmedLine = line.trim();
+        if (!trimmedLine || trimmedLine.startsWith('//')) return; // Skip empty lines or comments
+
+        const answerCheckMatch = hasBlockQuestions ? null : trimmedLine.match(CATEGORY_ANSWER_CHECK_PATTERN);
+        if (answerCheckMatch) {
+            const value = answerCheckMatch[1].trim();
+            if (ANSWER_CHECKS.includes(value)) {
+                answerCheck = value;
+            } else {
+                problems.push(createProblem('unknown-answer-check', lineNumber, line.length - line.trimStart().length + 1, trimmedLine));
+            }
+            return;
+        }
+
+        const result = parseQuestionLine(line, lineNumber, sheetPath);
+        problems.push(...result.problems);
+        hasBlockQuestions = true;
+        if (!result.question) return;
+        const duplicate = checkDuplicateQuestion(seenQuestions, result.question, lineNumber, line);
+        if (duplicate) problems.push(duplicate);
+        categories[title].push(answerCheck ? { ...result.question, answerCheck } : result.question);
+    });
+
+    // Remove categories that ended up empty (e.g., only contained comments)
+    Object.keys(categories).forEach(categoryTitle => {
+        if (categories[categoryTitle].length === 0) {
+            delete categories[categoryTitle];
+        }
+    });
+    return { categories, problems };
+}
+
+/**
+ * Parses a complete .txt sheet, header included.
+ * @param {string} text - The raw sheet text.
+ * @param {string} sheetIdForLogging - The sheet ID for warning messages.
+ * @param {string} [sheetPath] - Path of the sheet file; `img:` references are resolved relative to it.
+ * @returns {{metadata: object, categories: Object.<string, Array<object>>, problems: SheetProblem[]}}
+ */
+export function parseTxtSheet(text, sheetIdForLogging, sheetPath) {
+    const header = parseSheetHeader(text, sheetIdForLogging);
+    const { categories, problems } = parseTxtCategories(header.body, sheetPath, header.bodyLineOffset);
+    return { metadata: header.metadata, categories, problems: [...header.problems, ...problems] };
+}
+
+/**
+ * Converts a JSON sheet value (text or `{ "image": path }`) to the internal representation.
+ * @param {string|{image: string}} value
+ * @param {string} [sheetPath] - Path of the sheet file, to resolve image paths.
+ * @returns {string} The text, or an `img:` reference. Empty for invalid values.
+ */
+function fromJsonValue(value, sheetPath) {
+    if (typeof value === 'string') {
+        return value.trim();
+    }
+    if (value && typeof value.image === 'string' && value.image.trim()) {
+        const reference = `${IMAGE_PREFIX}${value.image.trim()}`;
+        return sheetPath ? resolveImageReference(reference, sheetPath) : reference;
+    }
+    return '';
+}
+
+/**
+ * Converts an internal value back to its JSON sheet form.
+ * @param {string} value
+ * @returns {string|{image: string}}
+ */
+function toJsonValue(value) {
+    return isImageReference(value) ? { image: getImageSource(value) } : value;
+}
+
+/**
+ * Reads an `"answerCheck"` field of a JSON category or question.
+ * @param {any} value - The field value; undefined when the field is missing.
+ * @param {string} location - Where the field is, for the problem report.
+ * @param {SheetProblem[]} problems - Receives a warning for an unknown value.
+ * @returns {'text'|'value'|null}
+ */
+function readJsonAnswerCheck(value, location, problems) {
+    if (value === undefined) return null;
+    if (ANSWER_CHECKS.includes(value)) return value;
+    problems.push(createProblem('unknown-answer-check', null, null, location));
+    return null;
+}
+
+/**
+ * Parses a .json sheet into the same structure as a .txt sheet.
+ * @param {object} data - The parsed JSON.
+ * @param {string} sheetIdForLogging - The sheet ID for messages.
+ * @param {string} [sheetPath] - Path of the sheet file; image paths are resolved relative to it.
+ * Questions without a question or answer are skipped and reported as problems.
+ * A category can set `"answerCheck"` for all its questions, a question for itself.
+ * @returns {{metadata: object, categories: Object.<string, Array<{question: string, answer: string, alternatives?: string[], distractors?: string[], tags?: string[], id?: string, explanation?: string, answerCheck?: 'text'|'value'}>>, problems: SheetProblem[]}}
+ * @throws {Error} If the structure is invalid; the message names the offending category.
+ */
+export function parseJsonSheet(data, sheetIdForLogging, sheetPath) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.categories)) {
+        throw new Error(`Sheet '${sheetIdForLogging}' is not a valid JSON sheet: "categories" must be an array.`);
+    }
+    if (data.format !== undefined && data.format !== JSON_SHEET_FORMAT) {
+        throw new Error(`Sheet '${sheetIdForLogging}' has unknown format '${data.format}', expected '${JSON_SHEET_FORMAT}'.`);
+    }
+    if (typeof data.version === 'number' && data.version > JSON_SHEET_VERSION) {
+        console.warn(`[sheetFormats] Sheet '${sheetIdForLogging}' has version ${data.version}, newer than supported version ${JSON_SHEET_VERSION}. Unknown fields are ignored.`);
+    }
+
+    const categories = {};
+    const problems = [];
+    data.categories.forEach((category, categoryIndex) => {
+        const title = typeof category?.title === 'string' ? category.title.trim() : '';
+        if (!title || !Array.isArray(category.questions)) {
+            throw new Error(`Sheet '${sheetIdForLogging}', categories[${categoryIndex}]: needs a "title" and a "questions" array.`);
+        }
+        categories[title] = [];
+        const categoryAnswerCheck = readJsonAnswerCheck(category.answerCheck, `categories[${categoryIndex}].answerCheck`, problems);
+        category.questions.forEach((item, questionIndex) => {
+            const question = fromJsonValue(item?.question, sheetPath);
+            const answer = fromJsonValue(item?.answer, sheetPath);
+            if (!question || !answer) {
+                problems.push(createProblem('invalid-question', null, null, `categories[${categoryIndex}].questions[${questionIndex}]`));
+                return;
+            }
+            const questionObject = { question, answer };
+            const alternatives = (Array.isArray(item.alternatives) ? item.alternatives : [])
+                .map(value => fromJsonValue(value, sheetPath)).filter(value => value);
+            const distractors = (Array.isArray(item.distractors) ? item.distractors : [])
+                .map(value => fromJsonValue(value, sheetPath)).filter(value => value);
+            const tags = [...new Set((Array.isArray(item.tags) ? item.tags : [])
+                .filter(tag => typeof tag === 'string').map(normalizeTag).filter(tag => tag))];
+            if (alternatives.length > 0) questionObject.alternatives = alternatives;
+            if (distractors.length > 0) questionObject.distractors = distractors;
+            if (tags.length > 0) questionObject.tags = tags;
+            if (item.id !== undefined && item.id !== '') questionObject.id = String(item.id);
+            if (typeof item.explanation === 'string' && item.explanation.trim()) questionObject.explanation = item.explanation.trim();
+            const answerCheck = readJsonAnswerCheck(item.answerCheck, `categories[${categoryIndex}].questions[${questionIndex}].answerCheck`, problems) || categoryAnswerCheck;
+            if (answerCheck) questionObject.answerCheck = answerCheck;
+            categories[title].push(questionObject);
+        });
+        if (categories[title].length === 0) {
+            delete categories[title];
+        }
+    });
+
+    return { metadata: pickSheetMetadata(data.metadata || {}, sheetIdForLogging), categories, problems };
+}
+
+/**
+ * Builds a JSON sheet object from parsed sheet data, e.g. to convert a .txt sheet.
+ * An answer check shared by all questions of a category is written on the category.
+ * @param {object} metadata - Sheet metadata.
+ * @param {Object.<string, Array<object>>} categories - Category title to questions.
+ * @returns {object} A JSON sheet, ready for JSON.stringify.
+ */
+export function toJsonSheet(metadata, categories) {
+    return {
+        format: JSON_SHEET_FORMAT,
+        version: JSON_SHEET_VERSION,
+        metadata: { ...metadata },
+        categories: Object.entries(categories).map(([title, questions]) => {
+            const categoryAnswerCheck = questions.every(q => q.answerCheck && q.answerCheck === questions[0].answerCheck)
+                ? questions[0].answerCheck
+                : undefined;
+            return {
+                title,
+                ...(categoryAnswerCheck && { answerCheck: categoryAnswerCheck }),
+                questions: questions.map(q => {
+                    const item = {};
+                    if (q.id !== undefined) item.id = q.id;
+                    item.question = toJsonValue(q.question);
+                    item.answer = toJsonValue(q.answer);
+                    if (q.alternatives?.length) item.alternatives = q.alternatives.map(toJsonValue);
+                    if (q.distractors?.length) item.distractors = q.distractors.map(toJsonValue);
+                    if (q.tags?.length) item.tags = [...q.tags];
+                    if (q.explanation) item.explanation = q.explanation;
+                    if (q.answerCheck && !categoryAnswerCheck) item.answerCheck = q.answerCheck;
+                    return item;
+                })
+            };
+        })
+    };
+}
+
+/**
+ * Converts the text of a .txt sheet to a JSON sheet. Image paths stay relative,
+ * so the JSON file works from the same folder as the .txt file.
+ * @param {string} text - The raw .txt sheet.
+ * @param {string} sheetIdForLogging - The sheet ID for messages.
+ * @returns {{sheet: object, problems: SheetProblem[]}} The JSON sheet, ready for JSON.stringify
+ *          (without lines that have errors), and the problems found in the .txt sheet.
+ */
+export function convertTxtSheetToJson(text, sheetIdForLogging) {
+    const { metadata, categories, problems } = parseTxtSheet(text, sheetIdForLogging);
+    return { sheet: toJsonSheet(metadata, categories), problems };
+}
+
+export default {
+    ANSWER_ALTERNATIVE_SEPARATOR,
+    DISTRACTOR_SEPARATOR,
+    EXPLANATION_SEPARATOR,
+    TAG_PREFIX,
+    ANSWER_CHECKS,
+    DEFAULT_ANSWER_CHECK,
+    SHEET_PROBLEMS,
+    normalizeTag,
+    formatSheetProblem,
+    hasSheetErrors,
+    createQuestion,
+    formatQuestionLine,
+    parseQuestionLine,
+    parseQuestionLines,
+    formatQuestionLines,
+    groupQuestionsByCategory,
+    hasQuestionCategories,
+    pickSheetMetadata,
+    parseSheetHeader,
+    parseTxtCategories,
+    parseTxtSheet,
+    parseJsonSheet,
+    toJsonSheet,
+    convertTxtSheetToJson
+};
@@ -0,0 +1,42 @@
+/**
+ * Converts .txt question sheets to the JSON sheet format.
+ *
+ * Usage (from the repository root):
+ *     node tools/sheet-to-json.js tafels.txt [more.txt ...]
+ *
+ * Writes tafels.json next to tafels.txt. Remember to point config.json at the new file.
+ * Problems in the sheet are listed with their line and column; a sheet with errors is not converted.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename } from 'node:path';
+import { convertTxtSheetToJson, formatSheetProblem, hasSheetErrors } from '../js/utils/sheetFormats.js';
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+    console.error('Usage: node tools/sheet-to-json.js <sheet.txt> [more.txt ...]');
+    process.exit(1);
+}
+
+for (const file of files) {
+    if (!file.endsWith('.txt')) {
+        console.error(`[sheet-to-json] Skipping ${file}: not a .txt sheet.`);
+        process.exitCode = 1;
+        continue;
+    }
+    try {
+        const { sheet: jsonSheet, problems } = convertTxtSheetToJson(await readFile(file, 'utf8'), basename(file, '.txt'));
+        problems.forEach(problem => console.warn(`[sheet-to-json] ${file}, ${formatSheetProblem(problem)}`));
+        if (hasSheetErrors(problems)) {
+            console.error(`[sheet-to-json] Not converting ${file}: fix the errors above first.`);
+            process.exitCode = 1;
+            continue;
+        }
+        const target = file.replace(/\.txt$/, '.json');
+        await writeFile(target, `${JSON.stringify(jsonSheet, null, 2)}\n`);
+        const questionCount = jsonSheet.categories.reduce((total, category) => total + category.questions.length, 0);
+        console.log(`[sheet-to-json] ${file} -> ${target} (${jsonSheet.categories.length} categories, ${questionCount} questions)`);
+    } catch (error) {
+        console.error(`[sheet-to-json] Failed to convert ${file}: ${error.message}`);
+        process.exitCode = 1;
+    }
+}